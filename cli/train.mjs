@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Headless Training CLI
+ * Trains the digit classifier in Node.js with the browser app's architecture,
+ * model and data code, on the pure-JS CPU backend of @tensorflow/tfjs.
+ * Reads local IDX (optionally gzipped) or PNG sprite files and writes a
+ * model.json + model.weights.bin pair that "Upload Model" in the app accepts,
+ * optionally with float16 or uint8 weights.
+ *
+ * Usage: node cli/train.mjs --images <file> --labels <file> [options]
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import * as tf from '@tensorflow/tfjs';
+
+import {
+  ARCHITECTURE_PRESETS,
+  DEFAULT_PRESET,
+  architectureFromJson,
+  presetArchitecture,
+} from '../js/architecture.js';
+import { augmentImages, isAugmentationActive } from '../js/augmentation.js';
+import { FileDataSource } from '../js/data-sources.js';
+import { MnistData } from '../js/data.js';
+import { OPTIMIZER_NAMES, validateHyperparameters } from '../js/hyperparameters.js';
+import { createModel, modelToArtifacts, reseedDropout } from '../js/model.js';
+import { WEIGHT_DTYPES, quantizationReport } from '../js/quantization.js';
+import { createRandom, deriveSeed, randomSeed } from '../js/random.js';
+import { TrainingMonitor } from '../js/training-monitor.js';
+
+// The shared modules use the tf global the browser gets from its script tag
+globalThis.tf = tf;
+
+// Test images per predict() call when measuring quantized accuracy, as in the app
+const EVALUATION_BATCH_SIZE = 500;
+
+// Same as CONFIG.model in js/app.js, minus what the flags below set
+const MODEL_DEFAULTS = {
+  inputShape: [28, 28, 1],
+  numClasses: 10,
+  trainDataSize: null,
+  monitor: 'val_acc',
+  earlyStopping: false,
+  restoreBestWeights: true,
+  lrSchedule: 'none',
+  lrFactor: 0.5,
+  lrPatience: 2,
+  lrStepSize: 5,
+  augmentation: {
+    enabled: false,
+    rotation: 10,
+    translation: 2,
+    scale: 0.1,
+    elastic: 1,
+    stroke: 1,
+  },
+};
+
+const OPTIONS = {
+  images: { type: 'string' },
+  labels: { type: 'string' },
+  'test-images': { type: 'string' },
+  'test-labels': { type: 'string' },
+  epochs: { type: 'string', default: '10' },
+  'batch-size': { type: 'string', default: '512' },
+  'train-samples': { type: 'string' },
+  'test-samples': { type: 'string', default: '1000' },
+  optimizer: { type: 'string', default: 'adam' },
+  'learning-rate': { type: 'string', default: '0.001' },
+  architecture: { type: 'string', default: DEFAULT_PRESET },
+  'early-stopping': { type: 'string' },
+  augment: { type: 'boolean', default: false },
+  seed: { type: 'string' },
+  output: { type: 'string', default: 'trained-model' },
+  quantize: { type: 'string', default: 'float32' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const USAGE = `Usage: node cli/train.mjs --images <file> --labels <file> [options]
+
+Data (IDX files, optionally gzipped, or the PNG sprite + one-hot labels):
+  --images <file>          Training (or combined) images
+  --labels <file>          Training (or combined) labels
+  --test-images <file>     Separate test images, e.g. t10k-images-idx3-ubyte
+  --test-labels <file>     Separate test labels; without test files 1/6 is held out
+
+Training:
+  --epochs <n>             Epochs (default 10)
+  --batch-size <n>         Batch size (default 512)
+  --train-samples <n>      Training images per epoch (default: all)
+  --test-samples <n>       Validation images (default 1000)
+  --optimizer <name>       ${OPTIMIZER_NAMES.join(', ')} (default adam)
+  --learning-rate <x>      Learning rate (default 0.001)
+  --architecture <name>    Preset (${Object.keys(ARCHITECTURE_PRESETS).join(', ')}) or an
+                           architecture JSON file exported from the app (default ${DEFAULT_PRESET})
+  --early-stopping <n>     Stop after n epochs without val_acc improvement and
+                           restore the best weights
+  --augment                Augment training images with the app's default strengths
+  --seed <n>               Seed for shuffling, initial weights, dropout and
+                           augmentation; the same seed repeats a run (default: random)
+
+Output:
+  --output <dir>           Directory for model.json and model.weights.bin
+                           (default trained-model)
+  --quantize <dtype>       Save weights as ${WEIGHT_DTYPES.join(', ')} (default float32) and
+                           report size and test accuracy before and after
+  -h, --help               Show this help
+`;
+
+/**
+ * Parse a numeric flag, leaving range checks to validateHyperparameters()
+ */
+function parseNumber(value, flag) {
+  const number = Number(value);
+  if (value === undefined || value.trim() === '' || Number.isNaN(number)) {
+    throw new Error(`--${flag} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Preset name or path to an architecture JSON file
+ */
+async function loadArchitecture(value) {
+  if (ARCHITECTURE_PRESETS[value]) {
+    return presetArchitecture(value);
+  }
+  return architectureFromJson(await readFile(value, 'utf8'));
+}
+
+/**
+ * Wrap a local file the way the browser's file picker would
+ */
+async function openFile(path) {
+  return new File([await readFile(path)], basename(path));
+}
+
+/**
+ * Write model artifacts in the tfjs layers format, as model.save('downloads://...')
+ * would in the browser
+ */
+async function saveArtifacts(artifacts, outputDir) {
+  const weightsFile = 'model.weights.bin';
+
+  const modelJson = {
+    modelTopology: artifacts.modelTopology,
+    format: artifacts.format,
+    generatedBy: artifacts.generatedBy,
+    convertedBy: artifacts.convertedBy,
+    trainingConfig: artifacts.trainingConfig,
+    weightsManifest: [{ paths: [`./${weightsFile}`], weights: artifacts.weightSpecs }],
+  };
+
+  await mkdir(outputDir, { recursive: true });
+  await writeFile(join(outputDir, 'model.json'), JSON.stringify(modelJson));
+  await writeFile(
+    join(outputDir, weightsFile),
+    new Uint8Array(tf.io.CompositeArrayBuffer.join(artifacts.weightData))
+  );
+}
+
+function logQuantizationReport({ dtype, numSamples, original, quantized }) {
+  const kilobytes = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+  console.log(`📦 ${dtype} weights: ${kilobytes(original.totalBytes)} → ${kilobytes(quantized.totalBytes)}`);
+  original.layers.forEach(({ name, bytes }) => {
+    const after = quantized.layers.find(layer => layer.name === name).bytes;
+    console.log(`   ${name.padEnd(12)} ${kilobytes(bytes).padStart(10)} → ${kilobytes(after).padStart(10)}`);
+  });
+  console.log(
+    `🎯 Test accuracy on ${numSamples} images: ${(original.accuracy * 100).toFixed(2)}% → ` +
+    `${(quantized.accuracy * 100).toFixed(2)}%`
+  );
+}
+
+async function main() {
+  const { values } = parseArgs({ options: OPTIONS });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!values.images || !values.labels) {
+    throw new Error(`--images and --labels are required\n\n${USAGE}`);
+  }
+
+  if (Boolean(values['test-images']) !== Boolean(values['test-labels'])) {
+    throw new Error('--test-images and --test-labels must be given together');
+  }
+
+  if (!WEIGHT_DTYPES.includes(values.quantize)) {
+    throw new Error(`--quantize must be one of ${WEIGHT_DTYPES.join(', ')}, got "${values.quantize}"`);
+  }
+
+  const params = {
+    ...MODEL_DEFAULTS,
+    epochs: parseNumber(values.epochs, 'epochs'),
+    batchSize: parseNumber(values['batch-size'], 'batch-size'),
+    testDataSize: parseNumber(values['test-samples'], 'test-samples'),
+    optimizer: values.optimizer,
+    learningRate: parseNumber(values['learning-rate'], 'learning-rate'),
+    architecture: await loadArchitecture(values.architecture),
+    augmentation: { ...MODEL_DEFAULTS.augmentation, enabled: values.augment },
+  };
+
+  if (values['train-samples'] !== undefined) {
+    params.trainDataSize = parseNumber(values['train-samples'], 'train-samples');
+  }
+
+  if (values['early-stopping'] !== undefined) {
+    params.earlyStopping = true;
+    params.patience = parseNumber(values['early-stopping'], 'early-stopping');
+  }
+
+  params.seed = values.seed !== undefined ? parseNumber(values.seed, 'seed') : randomSeed();
+
+  await tf.setBackend('cpu');
+  console.log(`🧠 TensorFlow.js ${tf.version.tfjs} on the ${tf.getBackend()} backend`);
+
+  const data = new MnistData(new FileDataSource(
+    await openFile(values.images),
+    await openFile(values.labels),
+    {
+      testImagesFile: values['test-images'] ? await openFile(values['test-images']) : null,
+      testLabelsFile: values['test-labels'] ? await openFile(values['test-labels']) : null,
+    }
+  ));
+  await data.load();
+
+  const errors = validateHyperparameters(params, {
+    maxTrainSize: data.numTrainElements,
+    maxTestSize: data.numTestElements,
+  });
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const { epochs, batchSize, testDataSize, inputShape, seed } = params;
+  console.log(`🎲 Seed ${seed}`);
+
+  // Same streams as the app's worker, so the run can be repeated on the same backend
+  data.setSeed(seed);
+  const dropoutRandom = createRandom(deriveSeed(seed, 'dropout'));
+  const augmentRandom = createRandom(deriveSeed(seed, 'augmentation'));
+  const model = createModel(params);
+
+  const augment = isAugmentationActive(params.augmentation)
+    ? images => augmentImages(images, params.augmentation, augmentRandom)
+    : null;
+  const trainDataset = data.trainDataset(batchSize, params.trainDataSize ?? data.numTrainElements, augment)
+    .map(({ xs, ys }) => ({ xs: xs.reshape([-1, ...inputShape]), ys }));
+
+  const [testXs, testYs] = tf.tidy(() => {
+    const d = data.nextTestBatch(testDataSize);
+    return [d.xs.reshape([testDataSize, ...inputShape]), d.labels];
+  });
+
+  const monitor = new TrainingMonitor(model, params);
+  let completedEpochs = 0;
+  let epochStart = Date.now();
+
+  try {
+    await model.fitDataset(trainDataset, {
+      epochs,
+      validationData: [testXs, testYs],
+      callbacks: {
+        onEpochBegin: async () => {
+          epochStart = Date.now();
+        },
+        onBatchBegin: async () => {
+          reseedDropout(model, dropoutRandom);
+        },
+        onEpochEnd: async (epoch, logs) => {
+          completedEpochs = epoch + 1;
+          const seconds = ((Date.now() - epochStart) / 1000).toFixed(1);
+          console.log(
+            `📊 Epoch ${completedEpochs}/${epochs} (${seconds}s): ` +
+            `loss ${logs.loss.toFixed(4)}, acc ${(logs.acc * 100).toFixed(2)}%, ` +
+            `val_loss ${logs.val_loss.toFixed(4)}, val_acc ${(logs.val_acc * 100).toFixed(2)}%`
+          );
+
+          if (monitor.onEpochEnd(epoch, logs)) {
+            model.stopTraining = true;
+          }
+        },
+      },
+    });
+
+    const summary = monitor.getSummary();
+    console.log(`✅ ${summary.stopReason || `Completed all ${epochs} epochs`} (seed ${seed})`);
+    if (params.restoreBestWeights && summary.bestEpoch !== completedEpochs) {
+      monitor.restoreBestWeights();
+    }
+
+    let artifacts;
+    if (values.quantize === 'float32') {
+      artifacts = await modelToArtifacts(model);
+    } else {
+      const report = await quantizationReport(model, data, values.quantize, EVALUATION_BATCH_SIZE);
+      logQuantizationReport(report);
+      artifacts = report.artifacts;
+    }
+
+    const outputDir = resolve(values.output);
+    await saveArtifacts(artifacts, outputDir);
+    console.log(`💾 Saved model.json and model.weights.bin to ${outputDir}`);
+
+  } finally {
+    monitor.dispose();
+    tf.dispose([testXs, testYs]);
+    model.dispose();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -3,26 +3,127 @@
  * Enhanced with better security, performance, and error handling
  */
 
-import { MnistData } from '/js/data.js';
+import {
+  ARCHITECTURE_PRESETS,
+  DEFAULT_PRESET,
+  LAYER_TYPES,
+  architectureFromJson,
+  architectureToJson,
+  cloneArchitecture,
+  createLayer,
+  findPreset,
+  presetArchitecture,
+  validateArchitecture,
+} from './architecture.js';
+import { augmentImages } from './augmentation.js';
+import { classMetrics } from './evaluation.js';
+import { encodeIdxImages, encodeIdxLabels } from './idx.js';
+import { imageDataToGrayscale, preprocessDigit } from './preprocessing.js';
+import { randomSeed } from './random.js';
+import {
+  RUN_METRICS,
+  RunStore,
+  bestEpoch,
+  parseRuns,
+  runsToCsv,
+  runsToJson,
+  sortRunsByValAccuracy,
+} from './run-store.js';
+import { mergeSegments, segmentDigits, splitSegment } from './segmentation.js';
+import { ModelRegistry } from './model-registry.js';
+import { SampleStore } from './sample-store.js';
+import {
+  artifactsToModel,
+  buildModel,
+  createModel,
+  modelToArtifacts,
+  summarizeModel,
+} from './model.js';
+import { ModelWorkerClient } from './model-worker-client.js';
+import { LR_SCHEDULES, MONITOR_METRICS } from './training-monitor.js';
+import {
+  OPTIMIZER_NAMES,
+  clearHyperparameters,
+  loadHyperparameters,
+  saveHyperparameters,
+  validateHyperparameters,
+} from './hyperparameters.js';
 
 // ============================================================================
 // Application State
 // ============================================================================
 
 const APP_STATE = {
+  // Main-thread copy of the active model, used for saving and downloading
   model: null,
+  // Runs training and predictions; owns the dataset
+  worker: null,
+  backend: null,
+  isSwitchingBackend: false,
+  isBenchmarking: false,
+  isEvaluating: false,
+  // Last quantization report of the active model, with its quantized artifacts
+  quantizedExport: null,
+  isFineTuning: false,
+  // Saliency/Grad-CAM/feature maps of the last classified digit
+  explanation: null,
+  explanationRequest: 0,
+  // Split sizes of the dataset loaded in the worker
   data: null,
+  isDataReady: false,
+  // Identifies the latest loadDataset() call so stale loads are ignored
+  datasetRequest: null,
+  registry: null,
+  // User drawings labelled for fine-tuning
+  sampleStore: null,
+  // Model input of the latest single-digit prediction, waiting for a label
+  feedbackSample: null,
   canvas: null,
   ctx: null,
+  // Offscreen copy of the drawing at canvas units, read for predictions
+  inputCanvas: null,
+  inputCtx: null,
   rawImage: null,
   isDrawing: false,
   hasDrawn: false,
+  // Stroke history: {tool: 'pen' | 'eraser', size, points: [{x, y, pressure}]}
+  strokes: [],
+  redoStack: [],
+  currentStroke: null,
+  tool: 'pen',
+  replayFrame: null,
+  resizeFrame: null,
+  // Pointer drawing the current stroke; others are ignored meanwhile
+  activePointerId: null,
   isTraining: false,
   isModelReady: false,
   currentEpoch: 0,
   totalEpochs: 10,
+  trainingAction: null,
+  trainingSummary: null,
+  // Seed of the current or last training run
+  trainingSeed: null,
+  runStore: null,
+  // Record of the run being trained, saved after every epoch
+  trackedRun: null,
+  // Runs drawn in the runs charts; null picks the best ones
+  selectedRunIds: null,
+  isPaused: false,
   penSize: 24,
   visorOpen: false,
+  wideCanvas: false,
+  liveMode: false,
+  livePredictionTimer: null,
+  isLivePredicting: false,
+  livePredictionPending: false,
+  lastLivePrediction: 0,
+  lastPredictionLatency: 0,
+  // Digit pieces of the current wide-canvas drawing, after user corrections
+  segments: null,
+  // Architecture being edited; becomes CONFIG.model.architecture on training
+  architecture: null,
+  // Why the edited architecture can't be built, or null
+  architectureError: null,
 };
 
 // ============================================================================
@@ -33,17 +134,95 @@ const CONFIG = {
   canvas: {
     width: 280,
     height: 280,
+    // Width in number mode, room for several digits side by side
+    wideWidth: 840,
     lineWidth: 24,
     lineCap: 'round',
     strokeStyle: 'white',
     fillStyle: 'black',
+    // Line width multipliers at no and full stylus pressure
+    minPressureScale: 0.4,
+    maxPressureScale: 1.6,
+    // Stroke points drawn per animation frame when replaying
+    replayPointsPerFrame: 3,
   },
   model: {
+    inputShape: [28, 28, 1],
+    numClasses: 10,
     batchSize: 512,
-    trainDataSize: 5500,
+    // null streams the whole training split every epoch
+    trainDataSize: null,
     testDataSize: 1000,
     epochs: 10,
     validationSplit: 0.15,
+    optimizer: 'adam',
+    learningRate: 0.001,
+    architecture: presetArchitecture(DEFAULT_PRESET),
+    monitor: 'val_acc',
+    earlyStopping: false,
+    patience: 3,
+    restoreBestWeights: true,
+    lrSchedule: 'none',
+    lrFactor: 0.5,
+    lrPatience: 2,
+    lrStepSize: 5,
+    // null picks a new random seed for every run
+    seed: null,
+    // Strengths are upper bounds; each image draws its own random amount
+    augmentation: {
+      enabled: false,
+      rotation: 10,
+      translation: 2,
+      scale: 0.1,
+      elastic: 1,
+      stroke: 1,
+    },
+  },
+  livePrediction: {
+    // Minimum gap between live predictions while drawing
+    minInterval: 100,
+    // Slow devices wait this many times the last prediction's latency instead
+    latencyFactor: 2,
+  },
+  preprocessing: {
+    // Thicken/thin strokes towards MNIST's typical width before classifying
+    normalizeStroke: false,
+  },
+  backends: {
+    // Selector options; the worker falls back through them in this order
+    labels: { webgl: 'WebGL', wasm: 'WASM', cpu: 'CPU' },
+    storageKey: 'digitnet-backend',
+  },
+  explanation: {
+    // Heatmap opacity over the model input, 0-1
+    opacity: 0.7,
+    // Feature maps shown per conv layer
+    maxFeatureMaps: 32,
+  },
+  evaluation: {
+    // Test images per predict() call in the worker
+    batchSize: 500,
+    // Misclassified samples shown in the gallery, most confident first
+    galleryLimit: 24,
+  },
+  fineTune: {
+    epochs: 5,
+    batchSize: 32,
+    // Share of each batch taken from the user's drawings; the rest is MNIST
+    userFraction: 0.5,
+    // Much smaller than for training, so the weights are only nudged
+    learningRate: 0.0001,
+    minSamples: 10,
+  },
+  runs: {
+    // Runs charted when the runs view opens, best val_acc first
+    defaultSelection: 3,
+    chartHeight: 300,
+  },
+  benchmark: {
+    // Timed runs per backend, each after one untimed warm-up
+    trainSteps: 3,
+    predictRuns: 20,
   },
   ui: {
     toastDuration: 3000,
@@ -51,246 +230,2263 @@ const CONFIG = {
   },
 };
 
-// ============================================================================
-// Model Architecture
-// ============================================================================
+// Pristine copy of the model settings, used by "Reset to defaults"
+const DEFAULT_MODEL_CONFIG = {
+  ...CONFIG.model,
+  architecture: cloneArchitecture(CONFIG.model.architecture),
+  augmentation: { ...CONFIG.model.augmentation },
+};
+
+// ============================================================================
+// Training Functions
+// ============================================================================
+
+async function trainModel() {
+  try {
+    APP_STATE.isTraining = true;
+    APP_STATE.currentEpoch = 0;
+    APP_STATE.trainingAction = null;
+    APP_STATE.trainingSummary = null;
+    updateTrainingControls();
+    updateModelStatus('Training...');
+
+    const { epochs } = CONFIG.model;
+    APP_STATE.totalEpochs = epochs;
+    updateTrainingProgress(0, 0, {});
+
+    // Every run gets a seed, so an unseeded one can still be repeated
+    const seed = CONFIG.model.seed ?? randomSeed();
+    APP_STATE.trainingSeed = seed;
+    updateTrainingSeed(seed);
+    console.log(`🎲 Training with seed ${seed}`);
+    const params = { ...CONFIG.model, seed };
+    await startRunTracking(params);
+
+    // TensorFlow Vis callbacks, fed from the worker's progress messages
+    const metrics = ['loss', 'val_loss', 'acc', 'val_acc'];
+    const container = {
+      name: 'Model Training',
+      tab: 'Training',
+      styles: { height: '640px' }
+    };
+    const fitCallbacks = tfvis.show.fitCallbacks(container, metrics);
+
+    // Show the visor and toggle button
+    tfvis.visor().open();
+    APP_STATE.visorOpen = true;
+    updateVisorButtonText();
+
+    const toggleBtn = document.getElementById('toggleVisorBtn');
+    if (toggleBtn) {
+      toggleBtn.classList.remove('hidden');
+    }
+
+    // The worker runs fitDataset(); this thread only draws progress
+    const result = await APP_STATE.worker.train(params, {
+      onBatchEnd: ({ batch, logs, percentage }) => {
+        fitCallbacks.onBatchEnd(batch, logs);
+
+        // Periodic UI updates during batch processing
+        if (batch % 10 === 0) {
+          updateProgressBar(percentage);
+        }
+      },
+      onEpochEnd: ({ epoch, logs, summary, percentage }) => {
+        APP_STATE.currentEpoch = epoch + 1;
+        fitCallbacks.onEpochEnd(epoch, logs);
+        updateTrainingProgress(percentage, epoch + 1, logs, summary);
+        recordRunEpoch(epoch, logs, summary);
+      },
+      onPaused: ({ completedEpochs }) => {
+        // A cancel may have arrived while the worker was finishing the batch
+        if (APP_STATE.trainingAction === 'cancel') return;
+
+        APP_STATE.currentEpoch = completedEpochs;
+        APP_STATE.isPaused = true;
+        updateModelStatus('Paused');
+        updateTrainingControls();
+      },
+    });
+
+    const { summary, cancelled, completedEpochs, lastLogs } = result;
+    APP_STATE.currentEpoch = completedEpochs;
+    APP_STATE.trainingSummary = summary;
+    updateTrainingProgress((completedEpochs / epochs) * 100, completedEpochs, lastLogs, summary);
+    await finishRunTracking(cancelled ? 'cancelled' : 'completed', summary);
+
+    // Mirror the trained weights here for saving and downloading
+    const model = await artifactsToModel(result.artifacts);
+    await activateModel(model, { loadedInWorker: true });
+
+    APP_STATE.isTraining = false;
+    APP_STATE.trainingAction = null;
+
+    if (cancelled) {
+      showToast(
+        'Training Cancelled',
+        `Keeping the weights after ${completedEpochs}/${epochs} epochs`,
+        'warning'
+      );
+    } else {
+      showToast('Training Complete!', summary.stopReason, 'success');
+    }
+
+    return { model, history: result.history };
+
+  } catch (error) {
+    console.error('❌ Training error:', error);
+    APP_STATE.isTraining = false;
+    await finishRunTracking('failed', { stopReason: error.message });
+    updateModelStatus('Error');
+    showToast('Training Failed', error.message, 'error');
+    throw error;
+
+  } finally {
+    APP_STATE.isPaused = false;
+    updateTrainingControls();
+  }
+}
+
+// ============================================================================
+// Training Control Functions
+// ============================================================================
+
+function togglePauseTraining() {
+  if (APP_STATE.isPaused) {
+    resumeTraining();
+  } else {
+    pauseTraining();
+  }
+}
+
+function pauseTraining() {
+  if (!APP_STATE.isTraining || APP_STATE.trainingAction) return;
+
+  APP_STATE.trainingAction = 'pause';
+  APP_STATE.worker.pause();
+  updateModelStatus('Pausing...');
+  updateTrainingControls();
+}
+
+function resumeTraining() {
+  if (!APP_STATE.isPaused) return;
+
+  APP_STATE.isPaused = false;
+  APP_STATE.trainingAction = null;
+  APP_STATE.worker.resume();
+  updateModelStatus('Training...');
+  updateTrainingControls();
+}
+
+function cancelTraining() {
+  if (!APP_STATE.isTraining || APP_STATE.trainingAction === 'cancel') return;
+
+  APP_STATE.trainingAction = 'cancel';
+  APP_STATE.isPaused = false;
+  APP_STATE.worker.cancel();
+  updateModelStatus('Cancelling...');
+  updateTrainingControls();
+}
+
+function updateTrainingControls() {
+  const pauseBtn = document.getElementById('pauseTrainingBtn');
+  const cancelBtn = document.getElementById('cancelTrainingBtn');
+  const loaderText = document.querySelector('#trainingSection .loader-text');
+  const { isTraining, isPaused, trainingAction } = APP_STATE;
+
+  if (pauseBtn) {
+    pauseBtn.disabled = !isTraining || (!isPaused && trainingAction !== null);
+    pauseBtn.querySelector('span').textContent = isPaused ? 'Resume' : 'Pause';
+  }
+
+  if (cancelBtn) {
+    cancelBtn.disabled = !isTraining || trainingAction === 'cancel';
+  }
+
+  if (loaderText) {
+    loaderText.textContent = isPaused
+      ? `Training paused in epoch ${APP_STATE.currentEpoch + 1}`
+      : 'Training in progress...  Please wait';
+  }
+
+  updateBackendControls();
+}
+
+// ============================================================================
+// Training Run Functions
+// ============================================================================
+
+// Start recording a run; training goes ahead even if it can't be stored
+async function startRunTracking(params) {
+  const run = {
+    createdAt: new Date().toISOString(),
+    status: 'running',
+    backend: APP_STATE.backend,
+    config: {
+      ...params,
+      architecture: cloneArchitecture(params.architecture),
+      augmentation: { ...params.augmentation },
+    },
+    epochs: [],
+    summary: null,
+  };
+
+  try {
+    run.id = await APP_STATE.runStore.add(run);
+    APP_STATE.trackedRun = run;
+    // Follow the new run in the charts if the runs view was already opened
+    APP_STATE.selectedRunIds?.add(run.id);
+    console.log(`📝 Recording training run ${run.id}`);
+  } catch (error) {
+    console.warn('⚠️ Training run will not be recorded:', error.message);
+    APP_STATE.trackedRun = null;
+  }
+}
+
+function recordRunEpoch(epoch, logs, summary) {
+  const run = APP_STATE.trackedRun;
+  if (!run) return;
+
+  run.epochs.push({
+    epoch: epoch + 1,
+    ...Object.fromEntries(RUN_METRICS.map(key => [key, logs[key] ?? null])),
+    learningRate: summary?.learningRate ?? null,
+  });
+  saveTrackedRun(run);
+}
+
+async function finishRunTracking(status, summary) {
+  const run = APP_STATE.trackedRun;
+  if (!run) return;
+
+  run.status = status;
+  run.summary = {
+    stopReason: summary?.stopReason ?? null,
+    bestEpoch: summary?.bestEpoch ?? null,
+    restoredEpoch: summary?.restoredEpoch ?? null,
+  };
+  APP_STATE.trackedRun = null;
+  await saveTrackedRun(run);
+}
+
+async function saveTrackedRun(run) {
+  try {
+    await APP_STATE.runStore.put(run);
+    if (!document.getElementById('runsSection')?.classList.contains('hidden')) {
+      await renderRuns();
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not save run ${run.id}:`, error.message);
+  }
+}
+
+async function showRuns() {
+  const section = document.getElementById('runsSection');
+  if (!section) return;
+
+  section.classList.remove('hidden');
+  await renderRuns();
+  section.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Runs table, best val_acc first, and the overlaid curves of the selected runs
+async function renderRuns() {
+  const tbody = document.getElementById('runsTableBody');
+  if (!tbody) return;
+
+  let runs = [];
+  try {
+    runs = sortRunsByValAccuracy(await APP_STATE.runStore.list());
+  } catch (error) {
+    console.warn('⚠️ Could not list runs:', error.message);
+  }
+
+  // Forget deleted runs; the first view charts the best few
+  const ids = new Set(runs.map(run => run.id));
+  APP_STATE.selectedRunIds = APP_STATE.selectedRunIds
+    ? new Set([...APP_STATE.selectedRunIds].filter(id => ids.has(id)))
+    : new Set(runs.slice(0, CONFIG.runs.defaultSelection).map(run => run.id));
+
+  const summary = document.getElementById('runsSummary');
+  if (summary) {
+    summary.textContent = runs.length === 0
+      ? 'No runs recorded yet: every training run is saved here'
+      : `${runs.length} runs · tick runs to compare their curves`;
+  }
+
+  ['exportRunsJsonBtn', 'exportRunsCsvBtn', 'clearRunsBtn'].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = runs.length === 0;
+    }
+  });
+
+  tbody.innerHTML = '';
+  runs.forEach((run) => {
+    const row = document.createElement('tr');
+    row.dataset.id = run.id;
+
+    const select = document.createElement('input');
+    select.type = 'checkbox';
+    select.checked = APP_STATE.selectedRunIds.has(run.id);
+    select.title = 'Show in the charts';
+
+    const best = bestEpoch(run);
+    const { config } = run;
+    const preset = config.architecture ? findPreset(config.architecture) : null;
+    const cells = [
+      `#${run.id ?? '-'} · ${new Date(run.createdAt).toLocaleString()}`,
+      preset ? ARCHITECTURE_PRESETS[preset].label : 'Custom',
+      `${(config.optimizer ?? '-').toUpperCase()} · ${config.learningRate ?? '-'}`,
+      config.batchSize ?? '-',
+      run.epochs.length,
+      config.seed ?? '-',
+      best ? `${(best.value * 100).toFixed(2)}% (epoch ${best.epoch})` : '-',
+      run.status,
+    ];
+
+    const selectCell = document.createElement('td');
+    selectCell.appendChild(select);
+    row.appendChild(selectCell);
+
+    cells.forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary btn-small';
+    remove.dataset.action = 'delete';
+    remove.title = 'Delete run';
+    remove.textContent = '✕';
+    // The run being trained is still being written
+    remove.disabled = run.id === APP_STATE.trackedRun?.id;
+
+    const removeCell = document.createElement('td');
+    removeCell.appendChild(remove);
+    row.appendChild(removeCell);
+
+    tbody.appendChild(row);
+  });
+
+  renderRunCharts(runs.filter(run => APP_STATE.selectedRunIds.has(run.id)));
+}
+
+function renderRunCharts(runs) {
+  const lossChart = document.getElementById('runsLossChart');
+  const accuracyChart = document.getElementById('runsAccuracyChart');
+  if (!lossChart || !accuracyChart) return;
+
+  const prefix = document.getElementById('runsCurveSet')?.value === 'train' ? '' : 'val_';
+  const charts = [
+    [lossChart, `${prefix}loss`, 'Loss'],
+    [accuracyChart, `${prefix}acc`, 'Accuracy'],
+  ];
+
+  charts.forEach(([container, metric, label]) => {
+    // Runs still in their first epoch have nothing to draw yet
+    const charted = runs.filter(run => run.epochs.some(epoch => typeof epoch[metric] === 'number'));
+
+    container.innerHTML = '';
+    if (charted.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'evaluation-hint';
+      empty.textContent = 'Tick runs in the table to compare their curves';
+      container.appendChild(empty);
+      return;
+    }
+
+    tfvis.render.linechart(container, {
+      values: charted.map(run => run.epochs
+        .filter(epoch => typeof epoch[metric] === 'number')
+        .map(epoch => ({ x: epoch.epoch, y: epoch[metric] }))),
+      series: charted.map(run => `#${run.id} (seed ${run.config.seed ?? '-'})`),
+    }, {
+      xLabel: 'Epoch',
+      yLabel: `${label} (${metric})`,
+      height: CONFIG.runs.chartHeight,
+    });
+  });
+}
+
+function handleRunSelection(e) {
+  const row = e.target.closest('tr[data-id]');
+  if (!row || e.target.type !== 'checkbox') return;
+
+  const id = Number(row.dataset.id);
+  if (e.target.checked) {
+    APP_STATE.selectedRunIds.add(id);
+  } else {
+    APP_STATE.selectedRunIds.delete(id);
+  }
+  renderRuns();
+}
+
+async function handleRunDelete(e) {
+  const button = e.target.closest('button[data-action="delete"]');
+  const row = e.target.closest('tr[data-id]');
+  if (!button || !row) return;
+
+  try {
+    await APP_STATE.runStore.remove(Number(row.dataset.id));
+    await renderRuns();
+  } catch (error) {
+    console.error('❌ Error deleting run:', error);
+    showToast('Delete Failed', error.message, 'error');
+  }
+}
+
+async function clearRuns() {
+  if (!window.confirm('Delete all recorded training runs? This cannot be undone.')) return;
+
+  try {
+    await APP_STATE.runStore.clear();
+    await renderRuns();
+  } catch (error) {
+    console.error('❌ Error deleting runs:', error);
+    showToast('Delete Failed', error.message, 'error');
+  }
+}
+
+// Download every run as JSON (complete) or CSV (one row per epoch)
+async function exportRuns(format) {
+  try {
+    const runs = sortRunsByValAccuracy(await APP_STATE.runStore.list());
+    if (runs.length === 0) return;
+
+    const text = format === 'csv' ? runsToCsv(runs) : runsToJson(runs);
+    downloadBytes(new TextEncoder().encode(text), `digitnet-runs.${format}`);
+
+    showToast('Runs Exported', `${runs.length} runs saved as ${format.toUpperCase()}`, 'success');
+  } catch (error) {
+    console.error('❌ Error exporting runs:', error);
+    showToast('Export Failed', error.message, 'error');
+  }
+}
+
+// Add runs from exported JSON or CSV files; they get new ids
+async function importRuns(e) {
+  const files = Array.from(e.target.files || []);
+  // Reset so picking the same file again still fires a change event
+  e.target.value = '';
+
+  if (files.length === 0) return;
+
+  try {
+    let count = 0;
+    for (const file of files) {
+      const runs = parseRuns(await file.text());
+      for (const run of runs) {
+        await APP_STATE.runStore.add(run);
+      }
+      count += runs.length;
+    }
+
+    await renderRuns();
+    showToast('Runs Imported', `${count} runs added`, 'success');
+  } catch (error) {
+    console.error('❌ Error importing runs:', error);
+    showToast('Import Failed', error.message, 'error');
+  }
+}
+
+// ============================================================================
+// Backend Functions
+// ============================================================================
+
+function backendLabel(backend) {
+  return CONFIG.backends.labels[backend] || backend;
+}
+
+// Backend picked in the selector on an earlier visit, if still supported
+function loadBackendPreference() {
+  const stored = localStorage.getItem(CONFIG.backends.storageKey);
+  return stored in CONFIG.backends.labels ? stored : null;
+}
+
+function displayBackend(backend) {
+  APP_STATE.backend = backend;
+
+  const select = document.getElementById('backendSelect');
+  if (select) {
+    select.value = backend;
+  }
+}
+
+// The worker can't switch backends mid-training or mid-benchmark
+function updateBackendControls() {
+  const isBusy = !APP_STATE.backend || APP_STATE.isTraining || APP_STATE.isEvaluating ||
+    APP_STATE.isFineTuning || APP_STATE.isBenchmarking || APP_STATE.isSwitchingBackend;
+
+  const select = document.getElementById('backendSelect');
+  if (select) {
+    select.disabled = isBusy;
+  }
+
+  const benchmarkBtn = document.getElementById('benchmarkBtn');
+  if (benchmarkBtn) {
+    benchmarkBtn.disabled = isBusy;
+  }
+}
+
+async function changeBackend(event) {
+  const requested = event.target.value;
+  if (requested === APP_STATE.backend) return;
+
+  APP_STATE.isSwitchingBackend = true;
+  updateBackendControls();
+
+  try {
+    const { backend } = await APP_STATE.worker.setBackend(requested);
+    displayBackend(backend);
+    localStorage.setItem(CONFIG.backends.storageKey, requested);
+
+    if (backend === requested) {
+      showToast('Backend Changed', `Now using ${backendLabel(backend)}`, 'success');
+    } else {
+      showToast(
+        'Backend Unavailable',
+        `${backendLabel(requested)} failed to start, using ${backendLabel(backend)} instead`,
+        'warning'
+      );
+    }
+  } catch (error) {
+    console.error('❌ Backend switch failed:', error);
+    showToast('Backend Error', error.message, 'error');
+    displayBackend(APP_STATE.backend);
+  } finally {
+    APP_STATE.isSwitchingBackend = false;
+    updateBackendControls();
+  }
+}
+
+// Time training steps and predictions on every backend, one after another
+async function runBenchmark() {
+  if (APP_STATE.isBenchmarking || APP_STATE.isTraining || APP_STATE.isFineTuning) return;
+
+  let worker;
+  try {
+    worker = requireWorker();
+  } catch (error) {
+    showToast('Benchmark Unavailable', error.message, 'error');
+    return;
+  }
+
+  APP_STATE.isBenchmarking = true;
+  updateBackendControls();
+
+  const section = document.getElementById('benchmarkSection');
+  if (section) {
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  const info = document.getElementById('benchmarkInfo');
+  if (info) {
+    info.textContent = `Average of ${CONFIG.benchmark.trainSteps} training steps on a batch of ${CONFIG.model.batchSize} and ${CONFIG.benchmark.predictRuns} single-digit predictions, with a fresh model per backend`;
+  }
+
+  const results = {};
+  try {
+    for (const backend of Object.keys(CONFIG.backends.labels)) {
+      renderBenchmarkResults(results, backend);
+
+      try {
+        results[backend] = await worker.benchmark(backend, CONFIG.model, CONFIG.benchmark);
+      } catch (error) {
+        console.warn(`⚠️ Benchmark on ${backend} failed:`, error.message);
+        results[backend] = { backend, error: error.message };
+      }
+    }
+
+    renderBenchmarkResults(results);
+    console.log('📊 Benchmark results:', results);
+
+  } finally {
+    APP_STATE.isBenchmarking = false;
+    updateBackendControls();
+  }
+}
+
+function renderBenchmarkResults(results, runningBackend = null) {
+  const tbody = document.getElementById('benchmarkResults');
+  if (!tbody) return;
+
+  const measured = Object.values(results).filter(result => !result.error);
+  const fastestTrainStep = Math.min(...measured.map(result => result.trainStepMs));
+  const fastestPredict = Math.min(...measured.map(result => result.predictMs));
+
+  const timeCell = (milliseconds, fastest) => {
+    const cell = document.createElement('td');
+    cell.textContent = `${milliseconds.toFixed(1)} ms`;
+    cell.classList.toggle('benchmark-fastest', milliseconds === fastest && measured.length > 1);
+    return cell;
+  };
+
+  const statusCell = (text) => {
+    const cell = document.createElement('td');
+    cell.colSpan = 2;
+    cell.className = 'benchmark-status';
+    cell.textContent = text;
+    return cell;
+  };
+
+  tbody.innerHTML = '';
+
+  Object.entries(CONFIG.backends.labels).forEach(([backend, label]) => {
+    const row = document.createElement('tr');
+    const result = results[backend];
+
+    const name = document.createElement('td');
+    name.textContent = label;
+    if (backend === APP_STATE.backend) {
+      const current = document.createElement('span');
+      current.className = 'benchmark-current';
+      current.textContent = 'in use';
+      name.append(' ', current);
+    }
+    row.appendChild(name);
+
+    if (!result) {
+      row.appendChild(statusCell(backend === runningBackend ? 'Running...' : 'Waiting'));
+    } else if (result.error) {
+      row.appendChild(statusCell(`Unavailable: ${result.error}`));
+    } else {
+      row.append(
+        timeCell(result.trainStepMs, fastestTrainStep),
+        timeCell(result.predictMs, fastestPredict)
+      );
+    }
+
+    tbody.appendChild(row);
+  });
+}
+
+// ============================================================================
+// Model Worker Functions
+// ============================================================================
+
+// Training and predictions run in a worker so the page never freezes. If it
+// fails to start, saved models, runs and samples can still be managed.
+async function startModelWorker() {
+  try {
+    APP_STATE.worker = new ModelWorkerClient();
+    const { backend } = await APP_STATE.worker.init(loadBackendPreference());
+    displayBackend(backend);
+    updateBackendControls();
+    console.log(`✅ Model worker ready (${backend} backend)`);
+    return true;
+  } catch (error) {
+    console.error('❌ Model worker failed to start:', error);
+    APP_STATE.worker?.terminate();
+    APP_STATE.worker = null;
+    updateModelStatus('Worker unavailable');
+    showToast(
+      'Training Unavailable',
+      `The model worker failed to start: ${error.message}. Saved models and runs can still be managed.`,
+      'error'
+    );
+    return false;
+  }
+}
+
+// The running worker, or an error for features that need it
+function requireWorker() {
+  if (!APP_STATE.worker) {
+    throw new Error('The model worker is not running. Reload the page to try again');
+  }
+  return APP_STATE.worker;
+}
+
+// ============================================================================
+// Dataset Functions
+// ============================================================================
+
+// Load the default MNIST download (files = null) or local files in the worker
+async function loadDataset(files = null) {
+  const request = {};
+  APP_STATE.datasetRequest = request;
+  APP_STATE.isDataReady = false;
+  setStartTrainingEnabled(false);
+  if (!APP_STATE.isModelReady) {
+    updateModelStatus('Loading data...');
+  }
+
+  try {
+    const data = await requireWorker().loadData(files);
+
+    // A newer source may have been picked while this one was loading
+    if (APP_STATE.datasetRequest !== request) return;
+
+    APP_STATE.data = data;
+    APP_STATE.isDataReady = true;
+    setStartTrainingEnabled(true);
+    updateSettingsLimits(data);
+    console.log('✅ Data loaded');
+
+    // Don't override the status once a saved model is in use
+    if (!APP_STATE.isModelReady) {
+      updateModelStatus('Data loaded - Ready to train');
+      showToast('Ready! ', 'Click "Start Training" to begin', 'success');
+    }
+
+  } catch (error) {
+    if (APP_STATE.datasetRequest !== request) return;
+
+    console.error('❌ Dataset error:', error);
+    updateModelStatus('Error');
+    showToast('Dataset Error', `${error.message}. Drop local dataset files to continue.`, 'error');
+  }
+}
+
+function initDatasetDropzone() {
+  const dropzone = document.getElementById('datasetDropzone');
+  const fileInput = document.getElementById('datasetFileInput');
+  if (!dropzone || !fileInput) return;
+
+  dropzone.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', (e) => {
+    handleDatasetFiles(Array.from(e.target.files || []));
+    e.target.value = '';
+  });
+
+  dropzone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropzone.classList.add('dragover');
+  });
+
+  dropzone.addEventListener('dragleave', () => {
+    dropzone.classList.remove('dragover');
+  });
+
+  dropzone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropzone.classList.remove('dragover');
+    handleDatasetFiles(Array.from(e.dataTransfer.files || []));
+  });
+}
+
+function handleDatasetFiles(files) {
+  if (APP_STATE.isTraining) {
+    showToast('Training In Progress', 'The dataset cannot change during training', 'error');
+    return;
+  }
+
+  // Sprite: mnist_images.png + mnist_labels_uint8
+  // IDX: train-images-idx3-ubyte[.gz] + train-labels-idx1-ubyte[.gz], plus optional t10k-* test files
+  const isLabels = file => /label/i.test(file.name);
+  const isTest = file => /t10k|test/i.test(file.name);
+
+  const imagesFile = files.find(file => !isLabels(file) && !isTest(file));
+  const labelsFile = files.find(file => isLabels(file) && !isTest(file));
+  const testImagesFile = files.find(file => !isLabels(file) && isTest(file));
+  const testLabelsFile = files.find(file => isLabels(file) && isTest(file));
+
+  const hasTrainFiles = imagesFile && labelsFile;
+  const hasTestFiles = testImagesFile && testLabelsFile;
+  if (!hasTrainFiles || files.length !== (hasTestFiles ? 4 : 2)) {
+    showToast(
+      'Invalid Dataset Files',
+      'Select an images file and a labels file (plus optional t10k test files) together',
+      'error'
+    );
+    return;
+  }
+
+  loadDataset({ imagesFile, labelsFile, testImagesFile, testLabelsFile });
+}
+
+function setStartTrainingEnabled(enabled) {
+  const startBtn = document.getElementById('startTrainingBtn');
+  if (startBtn) {
+    startBtn.disabled = !enabled;
+  }
+}
+
+// ============================================================================
+// Hyperparameter Settings Functions
+// ============================================================================
+
+const SETTINGS_FIELDS = {
+  epochs: 'settingEpochs',
+  batchSize: 'settingBatchSize',
+  trainDataSize: 'settingTrainSize',
+  testDataSize: 'settingTestSize',
+  optimizer: 'settingOptimizer',
+  learningRate: 'settingLearningRate',
+  monitor: 'settingMonitor',
+  patience: 'settingPatience',
+  lrSchedule: 'settingLrSchedule',
+  lrFactor: 'settingLrFactor',
+  lrPatience: 'settingLrPatience',
+  lrStepSize: 'settingLrStepSize',
+  seed: 'settingSeed',
+};
+
+const SETTINGS_CHECKBOXES = {
+  earlyStopping: 'settingEarlyStopping',
+  restoreBestWeights: 'settingRestoreBest',
+};
+
+const AUGMENTATION_FIELDS = {
+  rotation: 'settingAugRotation',
+  translation: 'settingAugTranslation',
+  scale: 'settingAugScale',
+  elastic: 'settingAugElastic',
+  stroke: 'settingAugStroke',
+};
+
+const AUGMENTATION_PREVIEW_SAMPLES = 8;
+const AUGMENTATION_PREVIEW_ROWS = 3;
+
+function initSettingsPanel() {
+  Object.assign(CONFIG.model, loadHyperparameters(DEFAULT_MODEL_CONFIG));
+  if (validateArchitecture(CONFIG.model.architecture).length > 0) {
+    console.warn('⚠️ Stored architecture is invalid, using the default');
+    CONFIG.model.architecture = cloneArchitecture(DEFAULT_MODEL_CONFIG.architecture);
+  }
+
+  initArchitectureBuilder();
+
+  fillSelectOptions(SETTINGS_FIELDS.optimizer, OPTIMIZER_NAMES, name => name.toUpperCase());
+  fillSelectOptions(SETTINGS_FIELDS.monitor, MONITOR_METRICS, name => name);
+  fillSelectOptions(SETTINGS_FIELDS.lrSchedule, LR_SCHEDULES, name => name);
+
+  fillSettingsForm(CONFIG.model);
+
+  const resetBtn = document.getElementById('resetSettingsBtn');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      clearHyperparameters();
+      Object.assign(CONFIG.model, DEFAULT_MODEL_CONFIG, {
+        architecture: cloneArchitecture(DEFAULT_MODEL_CONFIG.architecture),
+        augmentation: { ...DEFAULT_MODEL_CONFIG.augmentation },
+      });
+      fillSettingsForm(CONFIG.model);
+      showSettingsErrors([]);
+    });
+  }
+
+  const previewBtn = document.getElementById('previewAugmentationBtn');
+  if (previewBtn) {
+    previewBtn.addEventListener('click', showAugmentationPreview);
+  }
+}
+
+function fillSelectOptions(id, values, label) {
+  const select = document.getElementById(id);
+  if (!select) return;
+
+  select.innerHTML = '';
+  values.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label(value);
+    select.appendChild(option);
+  });
+}
+
+function fillSettingsForm(params) {
+  Object.entries(SETTINGS_FIELDS).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.value = params[key] ?? '';
+    }
+  });
+
+  Object.entries(SETTINGS_CHECKBOXES).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.checked = params[key];
+    }
+  });
+
+  const augmentationToggle = document.getElementById('settingAugmentation');
+  if (augmentationToggle) {
+    augmentationToggle.checked = params.augmentation.enabled;
+  }
+
+  Object.entries(AUGMENTATION_FIELDS).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.value = params.augmentation[key];
+    }
+  });
+
+  setArchitecture(params.architecture);
+  updateSampleCountText(params);
+}
+
+function readSettingsForm() {
+  const value = id => document.getElementById(id)?.value ?? '';
+  const checked = id => Boolean(document.getElementById(id)?.checked);
+
+  return {
+    epochs: Number(value(SETTINGS_FIELDS.epochs)),
+    batchSize: Number(value(SETTINGS_FIELDS.batchSize)),
+    trainDataSize: value(SETTINGS_FIELDS.trainDataSize) === ''
+      ? null
+      : Number(value(SETTINGS_FIELDS.trainDataSize)),
+    testDataSize: Number(value(SETTINGS_FIELDS.testDataSize)),
+    optimizer: value(SETTINGS_FIELDS.optimizer),
+    learningRate: Number(value(SETTINGS_FIELDS.learningRate)),
+    monitor: value(SETTINGS_FIELDS.monitor),
+    earlyStopping: checked(SETTINGS_CHECKBOXES.earlyStopping),
+    patience: Number(value(SETTINGS_FIELDS.patience)),
+    restoreBestWeights: checked(SETTINGS_CHECKBOXES.restoreBestWeights),
+    lrSchedule: value(SETTINGS_FIELDS.lrSchedule),
+    lrFactor: Number(value(SETTINGS_FIELDS.lrFactor)),
+    lrPatience: Number(value(SETTINGS_FIELDS.lrPatience)),
+    lrStepSize: Number(value(SETTINGS_FIELDS.lrStepSize)),
+    seed: value(SETTINGS_FIELDS.seed) === '' ? null : Number(value(SETTINGS_FIELDS.seed)),
+    augmentation: {
+      enabled: checked('settingAugmentation'),
+      ...Object.fromEntries(Object.entries(AUGMENTATION_FIELDS)
+        .map(([key, id]) => [key, Number(value(id))])),
+    },
+    architecture: cloneArchitecture(APP_STATE.architecture),
+  };
+}
+
+// Returns false (and shows why) when the form holds invalid settings
+function applySettings() {
+  const params = readSettingsForm();
+  const errors = validateHyperparameters(params, {
+    maxTrainSize: APP_STATE.data.numTrainElements,
+    maxTestSize: APP_STATE.data.numTestElements,
+  });
+
+  // Shape problems are only found by building the model
+  if (APP_STATE.architectureError && !errors.includes(APP_STATE.architectureError)) {
+    errors.push(APP_STATE.architectureError);
+  }
+
+  showSettingsErrors(errors);
+  if (errors.length > 0) {
+    showToast('Invalid Settings', errors[0], 'error');
+    return false;
+  }
+
+  Object.assign(CONFIG.model, params);
+  saveHyperparameters(CONFIG.model);
+  updateSampleCountText(CONFIG.model);
+  return true;
+}
+
+function updateSettingsLimits(data) {
+  const trainInput = document.getElementById(SETTINGS_FIELDS.trainDataSize);
+  const testInput = document.getElementById(SETTINGS_FIELDS.testDataSize);
+
+  if (trainInput) {
+    trainInput.max = data.numTrainElements;
+  }
+
+  if (testInput) {
+    testInput.max = data.numTestElements;
+  }
+
+  const limits = document.getElementById('settingsLimits');
+  if (limits) {
+    limits.textContent = `Dataset has ${data.numTrainElements.toLocaleString()} training and ${data.numTestElements.toLocaleString()} test samples`;
+  }
+}
+
+function updateSampleCountText(params) {
+  const trainText = document.getElementById('trainSamplesText');
+  const testText = document.getElementById('testSamplesText');
+
+  if (trainText) {
+    trainText.textContent = params.trainDataSize === null
+      ? 'all'
+      : params.trainDataSize.toLocaleString();
+  }
+
+  if (testText) {
+    testText.textContent = params.testDataSize.toLocaleString();
+  }
+}
+
+// Show a few training images next to randomly augmented copies of them
+async function showAugmentationPreview() {
+  const container = document.getElementById('augmentationPreview');
+  if (!container) return;
+
+  if (!APP_STATE.isDataReady) {
+    showToast('Dataset Not Ready', 'Load the dataset before previewing augmentation', 'warning');
+    return;
+  }
+
+  const params = readSettingsForm();
+  const errors = validateHyperparameters(params, {
+    maxTrainSize: APP_STATE.data.numTrainElements,
+    maxTestSize: APP_STATE.data.numTestElements,
+  });
+  showSettingsErrors(errors);
+  if (errors.length > 0) return;
+
+  let originals;
+  try {
+    originals = await APP_STATE.worker.sampleTrainImages(AUGMENTATION_PREVIEW_SAMPLES);
+  } catch (error) {
+    console.error('❌ Augmentation preview error:', error);
+    showToast('Preview Failed', error.message, 'error');
+    return;
+  }
+
+  container.innerHTML = '';
+  const imageSize = CONFIG.model.inputShape[0] * CONFIG.model.inputShape[1];
+  const rows = [originals];
+  for (let i = 0; i < AUGMENTATION_PREVIEW_ROWS; i++) {
+    rows.push(augmentImages(originals, params.augmentation));
+  }
+
+  rows.forEach((images, row) => {
+    for (let n = 0; n < AUGMENTATION_PREVIEW_SAMPLES; n++) {
+      const canvas = renderDigit(images.subarray(n * imageSize, (n + 1) * imageSize));
+      canvas.classList.toggle('original', row === 0);
+      container.appendChild(canvas);
+    }
+  });
+
+  const caption = document.createElement('p');
+  caption.className = 'augmentation-preview-caption';
+  caption.textContent = params.augmentation.enabled
+    ? 'Top row: original samples. Below: random augmentations with the current strengths.'
+    : 'Augmentation is off; enable it to apply these transforms during training.';
+  container.appendChild(caption);
+  container.classList.remove('hidden');
+}
+
+function showSettingsErrors(errors) {
+  const list = document.getElementById('settingsErrors');
+  if (!list) return;
+
+  list.innerHTML = '';
+  errors.forEach((error) => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  });
+  list.classList.toggle('hidden', errors.length === 0);
+
+  // Open the panel so the problems are visible
+  if (errors.length > 0) {
+    const panel = document.getElementById('settingsPanel');
+    if (panel) {
+      panel.open = true;
+    }
+  }
+}
+
+// ============================================================================
+// Architecture Builder Functions
+// ============================================================================
+
+// Icon text and style per tfjs layer class in the architecture diagram
+const LAYER_ICONS = {
+  Conv2D: ['CONV', 'conv-layer'],
+  MaxPooling2D: ['POOL', 'pool-layer'],
+  AveragePooling2D: ['POOL', 'pool-layer'],
+  BatchNormalization: ['NORM', 'norm-layer'],
+  Flatten: ['FLATTEN', 'dense-layer'],
+  Dropout: ['DROPOUT', 'dropout-layer'],
+  Dense: ['DENSE', 'dense-layer'],
+};
+
+function initArchitectureBuilder() {
+  fillSelectOptions('architecturePreset', ['', ...Object.keys(ARCHITECTURE_PRESETS)],
+    name => (name ? ARCHITECTURE_PRESETS[name].label : 'Custom'));
+  fillSelectOptions('architectureAddType', Object.keys(LAYER_TYPES), type => LAYER_TYPES[type].label);
+
+  const presetSelect = document.getElementById('architecturePreset');
+  if (presetSelect) {
+    presetSelect.addEventListener('change', () => {
+      if (presetSelect.value) {
+        setArchitecture(presetArchitecture(presetSelect.value));
+      }
+    });
+  }
+
+  const addBtn = document.getElementById('architectureAddBtn');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      const type = document.getElementById('architectureAddType')?.value;
+      if (type) {
+        APP_STATE.architecture.layers.push(createLayer(type));
+        renderArchitecture();
+      }
+    });
+  }
+
+  const layerList = document.getElementById('architectureLayers');
+  if (layerList) {
+    layerList.addEventListener('change', handleLayerFieldChange);
+    layerList.addEventListener('click', handleLayerAction);
+  }
+
+  const jsonApplyBtn = document.getElementById('architectureJsonApplyBtn');
+  if (jsonApplyBtn) {
+    jsonApplyBtn.addEventListener('click', () => {
+      try {
+        setArchitecture(architectureFromJson(document.getElementById('architectureJson').value));
+        showToast('Architecture Updated', 'Applied the architecture JSON', 'success');
+      } catch (error) {
+        showToast('Invalid Architecture', error.message, 'error');
+      }
+    });
+  }
+}
+
+function setArchitecture(architecture) {
+  APP_STATE.architecture = cloneArchitecture(architecture);
+  renderArchitecture();
+}
+
+function handleLayerFieldChange(event) {
+  const input = event.target;
+  const row = input.closest('[data-index]');
+  if (!row || !input.dataset.field) return;
+
+  const layer = APP_STATE.architecture.layers[Number(row.dataset.index)];
+  const field = LAYER_TYPES[layer.type].fields[input.dataset.field];
+  layer[input.dataset.field] = field.options ? input.value : Number(input.value);
+  // Keep the rows so focus stays in the edited field
+  renderArchitecture({ rebuildRows: false });
+}
+
+function handleLayerAction(event) {
+  const button = event.target.closest('button[data-action]');
+  const row = event.target.closest('[data-index]');
+  if (!button || !row) return;
+
+  const { layers } = APP_STATE.architecture;
+  const index = Number(row.dataset.index);
+
+  if (button.dataset.action === 'remove') {
+    layers.splice(index, 1);
+  } else {
+    const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+  }
+  renderArchitecture();
+}
+
+// Build the edited architecture to show its real output shapes and parameter counts
+function renderArchitecture({ rebuildRows = true } = {}) {
+  const { architecture } = APP_STATE;
+  let summary = null;
+
+  const errors = validateArchitecture(architecture);
+  APP_STATE.architectureError = errors[0] || null;
+
+  if (errors.length === 0) {
+    try {
+      const model = buildModel(architecture, CONFIG.model);
+      summary = summarizeModel(model);
+      model.dispose();
+    } catch (error) {
+      APP_STATE.architectureError = `Invalid architecture: ${error.message}`;
+    }
+  }
+
+  const preset = findPreset(architecture);
+
+  const presetSelect = document.getElementById('architecturePreset');
+  if (presetSelect) {
+    presetSelect.value = preset || '';
+  }
+
+  const description = document.getElementById('architectureDescription');
+  if (description) {
+    const name = preset ? ARCHITECTURE_PRESETS[preset].label : 'Custom architecture';
+    description.textContent = summary
+      ? `${name} · ${summary.layers.length} layers · ${summary.totalParams.toLocaleString()} parameters`
+      : name;
+  }
+
+  const errorText = document.getElementById('architectureError');
+  if (errorText) {
+    errorText.textContent = APP_STATE.architectureError || '';
+    errorText.classList.toggle('hidden', !APP_STATE.architectureError);
+  }
+
+  const json = document.getElementById('architectureJson');
+  if (json) {
+    json.value = architectureToJson(architecture);
+  }
+
+  renderArchitectureVisual(summary);
+  if (rebuildRows) {
+    renderArchitectureLayers();
+  }
+  renderArchitectureSummary();
+}
+
+// Diagram of the built model: one item per tfjs layer with shape and parameters
+function renderArchitectureVisual(summary) {
+  const visual = document.getElementById('architectureVisual');
+  if (!visual) return;
+
+  const wasRendered = visual.childElementCount > 0;
+  visual.innerHTML = '';
+  visual.classList.toggle('hidden', !summary);
+  if (!summary) return;
+
+  const addItem = (iconText, iconClass, title, details) => {
+    if (visual.childElementCount > 0) {
+      const arrow = document.createElement('div');
+      arrow.className = 'layer-arrow';
+      arrow.textContent = '→';
+      visual.appendChild(arrow);
+    }
+
+    const item = document.createElement('div');
+    item.className = 'layer-item';
+
+    const icon = document.createElement('div');
+    icon.className = `layer-icon ${iconClass}`;
+    icon.textContent = iconText;
+
+    const info = document.createElement('div');
+    info.className = 'layer-info';
+    const name = document.createElement('strong');
+    name.textContent = title;
+    info.appendChild(name);
+    details.forEach((text) => {
+      const line = document.createElement('span');
+      line.textContent = text;
+      info.appendChild(line);
+    });
+
+    item.append(icon, info);
+    visual.appendChild(item);
+  };
+
+  addItem('INPUT', 'input-layer', 'Input', [CONFIG.model.inputShape.join('×')]);
+
+  summary.layers.forEach((layer, i) => {
+    const isOutput = i === summary.layers.length - 1;
+    const [iconText, iconClass] = isOutput
+      ? ['OUTPUT', 'output-layer']
+      : LAYER_ICONS[layer.className] || [layer.className.toUpperCase(), 'dense-layer'];
+
+    addItem(iconText, iconClass, layer.className, [
+      layer.outputShape.join('×'),
+      `${layer.params.toLocaleString()} params`,
+    ]);
+  });
+
+  // Only animate the diagram when it first appears, not on every edit
+  visual.classList.toggle('is-static', wasRendered);
+}
+
+// Editable rows, one per architecture layer
+function renderArchitectureLayers() {
+  const list = document.getElementById('architectureLayers');
+  if (!list) return;
+
+  const { layers } = APP_STATE.architecture;
+  list.innerHTML = '';
+
+  if (layers.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'architecture-empty';
+    empty.textContent = 'No hidden layers: the input goes straight to the output layer';
+    list.appendChild(empty);
+    return;
+  }
+
+  layers.forEach((layer, index) => {
+    const definition = LAYER_TYPES[layer.type];
+    const row = document.createElement('div');
+    row.className = 'architecture-layer';
+    row.dataset.index = index;
+
+    const title = document.createElement('strong');
+    title.textContent = `${index + 1}. ${definition.label}`;
+    row.appendChild(title);
+
+    Object.entries(definition.fields).forEach(([key, field]) => {
+      const label = document.createElement('label');
+      label.className = 'setting-field';
+
+      const caption = document.createElement('span');
+      caption.textContent = field.label;
+
+      let input;
+      if (field.options) {
+        input = document.createElement('select');
+        field.options.forEach((value) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = value;
+          input.appendChild(option);
+        });
+      } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.integer ? 1 : 0.05;
+      }
+      input.dataset.field = key;
+      input.value = layer[key];
+
+      label.append(caption, input);
+      row.appendChild(label);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'architecture-layer-actions';
+    [
+      ['up', '↑', 'Move up', index === 0],
+      ['down', '↓', 'Move down', index === layers.length - 1],
+      ['remove', '✕', 'Remove layer', false],
+    ].forEach(([action, text, title, disabled]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-secondary btn-small';
+      button.dataset.action = action;
+      button.textContent = text;
+      button.title = title;
+      button.disabled = disabled;
+      actions.appendChild(button);
+    });
+    row.appendChild(actions);
+
+    list.appendChild(row);
+  });
+}
+
+// Compact badge summary on the welcome card
+function renderArchitectureSummary() {
+  const container = document.getElementById('architectureSummary');
+  if (!container) return;
+
+  const [height, width] = CONFIG.model.inputShape;
+  const badges = [`Input (${height}×${width})`];
+  APP_STATE.architecture.layers.forEach((layer) => {
+    if (layer.type === 'conv') badges.push(`Conv2D (${layer.filters})`);
+    if (layer.type === 'pool') badges.push('Pool');
+    if (layer.type === 'dense') badges.push(`Dense (${layer.units})`);
+    if (layer.type === 'batchNorm') badges.push('BatchNorm');
+  });
+  badges.push(`Output (${CONFIG.model.numClasses})`);
+
+  container.innerHTML = '';
+  badges.forEach((text, i) => {
+    if (i > 0) {
+      const arrow = document.createElement('span');
+      arrow.className = 'arrow';
+      arrow.textContent = '→';
+      container.appendChild(arrow);
+    }
+    const badge = document.createElement('span');
+    badge.className = 'layer-badge';
+    badge.textContent = text;
+    container.appendChild(badge);
+  });
+}
+
+// ============================================================================
+// Model Registry Functions
+// ============================================================================
+
+async function saveTrainedModel(model, history) {
+  try {
+    const valAccuracies = history.history.val_acc || history.history.val_accuracy || [];
+
+    // Report the epoch whose weights the model actually holds
+    const restoredEpoch = APP_STATE.trainingSummary?.restoredEpoch;
+    const index = restoredEpoch ? restoredEpoch - 1 : valAccuracies.length - 1;
+    const valAccuracy = valAccuracies[index] ?? null;
+
+    await APP_STATE.registry.save(model, {
+      valAccuracy,
+      epochs: history.epoch.length,
+      seed: APP_STATE.trainingSeed,
+    });
+
+    showToast('Model Saved', 'You can reload it next time without retraining', 'success');
+  } catch (error) {
+    console.error('❌ Error saving model:', error);
+    showToast('Save Failed', error.message, 'warning');
+  }
+}
+
+async function renderSavedModels() {
+  const panel = document.getElementById('savedModels');
+  const list = document.getElementById('savedModelsList');
+  if (!panel || !list) return [];
+
+  let entries = [];
+  try {
+    entries = await APP_STATE.registry.list();
+  } catch (error) {
+    console.warn('⚠️ Could not list saved models:', error.message);
+  }
+
+  list.innerHTML = '';
+  panel.classList.toggle('hidden', entries.length === 0);
+
+  entries.forEach((entry) => {
+    const item = document.createElement('div');
+    item.className = 'saved-model-item';
+    item.dataset.id = entry.id;
+
+    const info = document.createElement('div');
+    info.className = 'saved-model-info';
+
+    const name = document.createElement('strong');
+    name.textContent = entry.name;
+
+    const details = document.createElement('span');
+    const accuracy = entry.valAccuracy !== null
+      ? `${(entry.valAccuracy * 100).toFixed(2)}% val accuracy`
+      : 'accuracy unknown';
+    const seed = entry.seed !== null ? ` · seed ${entry.seed}` : '';
+    details.textContent = `${new Date(entry.createdAt).toLocaleString()} · ${accuracy}${seed} · ${(entry.sizeBytes / 1024).toFixed(0)} KB`;
+
+    info.append(name, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'saved-model-actions';
+    [
+      ['load', 'Load', 'btn-primary'],
+      ['rename', 'Rename', 'btn-secondary'],
+      ['delete', 'Delete', 'btn-secondary'],
+    ].forEach(([action, label, style]) => {
+      const button = document.createElement('button');
+      button.className = `btn btn-small ${style}`;
+      button.dataset.action = action;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+
+    item.append(info, actions);
+    list.appendChild(item);
+  });
+
+  return entries;
+}
+
+async function handleSavedModelAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const item = e.target.closest('.saved-model-item');
+  if (!button || !item) return;
+
+  const { id } = item.dataset;
+
+  try {
+    switch (button.dataset.action) {
+      case 'load':
+        await loadSavedModel(id);
+        break;
+      case 'rename': {
+        const currentName = item.querySelector('strong').textContent;
+        const newName = window.prompt('Rename model', currentName);
+        if (newName !== null) {
+          APP_STATE.registry.rename(id, newName);
+          await renderSavedModels();
+        }
+        break;
+      }
+      case 'delete':
+        if (window.confirm('Delete this saved model? This cannot be undone.')) {
+          await APP_STATE.registry.remove(id);
+          await renderSavedModels();
+          showToast('Model Deleted', 'The saved model was removed', 'info');
+        }
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    console.error('❌ Model registry error:', error);
+    showToast('Model Registry Error', error.message, 'error');
+  }
+}
+
+async function loadSavedModel(id) {
+  updateModelStatus('Loading model...');
+  try {
+    // activateModel() disposes the model itself if the worker can't take it
+    await activateModel(await APP_STATE.registry.load(id));
+  } catch (error) {
+    // An earlier model may still be active and usable
+    updateModelStatus(APP_STATE.isModelReady ? 'Ready' : 'Error');
+    throw error;
+  }
+  showToast('Model Loaded', 'Skipped training - start drawing!', 'success');
+}
+
+async function loadLatestModel() {
+  try {
+    const entries = await APP_STATE.registry.list();
+    if (entries.length === 0) {
+      showToast('No Saved Models', 'Train a model first', 'info');
+      return;
+    }
+
+    await loadSavedModel(entries[0].id);
+  } catch (error) {
+    console.error('❌ Error loading model:', error);
+    updateModelStatus(APP_STATE.isModelReady ? 'Ready' : 'Error');
+    showToast('Load Failed', error.message, 'error');
+  }
+}
+
+// Make a model the one used for predictions. Pass loadedInWorker when the
+// worker already holds it (right after training there).
+async function activateModel(model, { loadedInWorker = false } = {}) {
+  if (!loadedInWorker) {
+    try {
+      await requireWorker().setModel(await modelToArtifacts(model));
+    } catch (error) {
+      // Not adopted, so nothing else would ever dispose it
+      if (model !== APP_STATE.model) {
+        model.dispose();
+      }
+      throw error;
+    }
+  }
+
+  if (APP_STATE.model && APP_STATE.model !== model) {
+    APP_STATE.model.dispose();
+  }
+
+  APP_STATE.model = model;
+  APP_STATE.isModelReady = true;
+  updateModelStatus('Ready');
+  resetEvaluation();
+  resetQuantization();
+  hideExplanation();
+
+  hideWelcomeSection();
+  showDrawingSection();
+
+  if (!APP_STATE.canvas) {
+    initCanvas();
+  }
+}
+
+// ============================================================================
+// Handwriting Sample Functions
+// ============================================================================
+
+// One button per digit under the prediction; clicking saves the drawing with that label
+function initSampleFeedback() {
+  const container = document.getElementById('sampleFeedbackDigits');
+  if (!container) return;
+
+  for (let digit = 0; digit < CONFIG.model.numClasses; digit++) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary btn-small';
+    button.dataset.digit = digit;
+    button.textContent = digit;
+    container.appendChild(button);
+  }
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-digit]');
+    if (button) {
+      saveFeedbackSample(Number(button.dataset.digit));
+    }
+  });
+}
+
+// Remember the model input of the latest prediction so it can be labelled
+function showSampleFeedback(pixels, predictedDigit) {
+  APP_STATE.feedbackSample = { pixels, saved: false };
+
+  document.querySelectorAll('#sampleFeedbackDigits button').forEach((button) => {
+    button.disabled = false;
+    button.classList.toggle('predicted', Number(button.dataset.digit) === predictedDigit);
+  });
+
+  const status = document.getElementById('sampleFeedbackStatus');
+  if (status) {
+    status.textContent = `Click ${predictedDigit} if the prediction is right, or the digit you meant`;
+  }
+}
+
+async function saveFeedbackSample(label) {
+  const sample = APP_STATE.feedbackSample;
+  if (!sample || sample.saved) return;
+
+  // Saving the same drawing twice would weight it double when fine-tuning
+  sample.saved = true;
+  document.querySelectorAll('#sampleFeedbackDigits button').forEach((button) => {
+    button.disabled = true;
+  });
+
+  const status = document.getElementById('sampleFeedbackStatus');
+
+  try {
+    await APP_STATE.sampleStore.add(sample.pixels, label);
+    const samples = await renderSamples();
+    if (status) {
+      status.textContent = `Saved as ${label} · ${samples.length} drawings collected`;
+    }
+  } catch (error) {
+    console.error('❌ Error saving sample:', error);
+    sample.saved = false;
+    showToast('Save Failed', error.message, 'error');
+    showSampleFeedback(sample.pixels, label);
+  }
+}
+
+// Sample manager: every collected drawing with its label and a delete button
+async function renderSamples() {
+  const grid = document.getElementById('samplesGrid');
+  if (!grid) return [];
+
+  let samples = [];
+  try {
+    samples = await APP_STATE.sampleStore.list();
+  } catch (error) {
+    console.warn('⚠️ Could not list samples:', error.message);
+  }
+
+  const summary = document.getElementById('samplesSummary');
+  if (summary) {
+    const counts = new Array(CONFIG.model.numClasses).fill(0);
+    samples.forEach(({ label }) => counts[label]++);
+    summary.textContent = samples.length === 0
+      ? 'No drawings collected yet: label a prediction to add one'
+      : `${samples.length} drawings · ${counts.map((count, digit) => `${digit}: ${count}`).join(' · ')}`;
+  }
+
+  ['fineTuneBtn', 'exportSamplesBtn', 'clearSamplesBtn'].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = samples.length === 0 || APP_STATE.isFineTuning;
+    }
+  });
+
+  grid.innerHTML = '';
+  samples.forEach((sample) => {
+    const item = document.createElement('div');
+    item.className = 'sample-item';
+    item.dataset.id = sample.id;
+
+    const label = document.createElement('select');
+    label.title = 'Label';
+    for (let digit = 0; digit < CONFIG.model.numClasses; digit++) {
+      const option = document.createElement('option');
+      option.value = digit;
+      option.textContent = digit;
+      label.appendChild(option);
+    }
+    label.value = sample.label;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary btn-small';
+    remove.dataset.action = 'delete';
+    remove.title = 'Delete drawing';
+    remove.textContent = '✕';
+
+    item.append(renderDigit(sample.pixels), label, remove);
+    grid.appendChild(item);
+  });
+
+  return samples;
+}
+
+async function handleSampleRelabel(e) {
+  const item = e.target.closest('.sample-item');
+  if (!item || e.target.tagName !== 'SELECT') return;
+
+  try {
+    await APP_STATE.sampleStore.relabel(Number(item.dataset.id), Number(e.target.value));
+    await renderSamples();
+  } catch (error) {
+    console.error('❌ Error relabelling sample:', error);
+    showToast('Relabel Failed', error.message, 'error');
+  }
+}
+
+async function handleSampleDelete(e) {
+  const button = e.target.closest('button[data-action="delete"]');
+  const item = e.target.closest('.sample-item');
+  if (!button || !item) return;
+
+  try {
+    await APP_STATE.sampleStore.remove(Number(item.dataset.id));
+    await renderSamples();
+  } catch (error) {
+    console.error('❌ Error deleting sample:', error);
+    showToast('Delete Failed', error.message, 'error');
+  }
+}
+
+async function clearSamples() {
+  if (!window.confirm('Delete all collected drawings? This cannot be undone.')) return;
+
+  try {
+    await APP_STATE.sampleStore.clear();
+    await renderSamples();
+  } catch (error) {
+    console.error('❌ Error deleting samples:', error);
+    showToast('Delete Failed', error.message, 'error');
+  }
+}
+
+// Flatten stored samples into one image array and one label array
+function packSamples(samples) {
+  const imageSize = CONFIG.model.inputShape.reduce((a, b) => a * b, 1);
+  const images = new Float32Array(samples.length * imageSize);
+  samples.forEach((sample, i) => images.set(sample.pixels, i * imageSize));
+
+  return { images, labels: Uint8Array.from(samples, sample => sample.label) };
+}
+
+// Download the collection as IDX files, loadable again as a local dataset
+async function exportSamples() {
+  try {
+    const samples = await APP_STATE.sampleStore.list();
+    if (samples.length === 0) return;
+
+    const [rows, cols] = CONFIG.model.inputShape;
+    const { images, labels } = packSamples(samples);
+
+    downloadBytes(encodeIdxImages(images, samples.length, rows, cols), 'my-digits-images-idx3-ubyte');
+    downloadBytes(encodeIdxLabels(labels), 'my-digits-labels-idx1-ubyte');
+
+    showToast('Samples Exported', `${samples.length} drawings saved as IDX files`, 'success');
+  } catch (error) {
+    console.error('❌ Error exporting samples:', error);
+    showToast('Export Failed', error.message, 'error');
+  }
+}
+
+function downloadBytes(bytes, filename) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Continue training the active model on the collected drawings mixed with MNIST
+async function fineTuneOnSamples() {
+  if (!APP_STATE.isModelReady) {
+    showToast('No Model', 'Train or load a model first', 'error');
+    return;
+  }
+
+  if (!APP_STATE.isDataReady) {
+    showToast('Dataset Not Loaded', 'Fine-tuning mixes in MNIST, so wait for the dataset', 'warning');
+    return;
+  }
+
+  if (APP_STATE.isFineTuning || APP_STATE.isTraining || APP_STATE.isEvaluating || APP_STATE.isBenchmarking) {
+    return;
+  }
+
+  let samples;
+  try {
+    samples = await APP_STATE.sampleStore.list();
+  } catch (error) {
+    console.error('❌ Could not list samples:', error);
+    showToast('Fine-Tuning Failed', `Your drawings could not be read: ${error.message}`, 'error');
+    return;
+  }
+
+  if (samples.length < CONFIG.fineTune.minSamples) {
+    showToast(
+      'Not Enough Drawings',
+      `Collect at least ${CONFIG.fineTune.minSamples} labelled drawings first (${samples.length} so far)`,
+      'warning'
+    );
+    return;
+  }
+
+  APP_STATE.isFineTuning = true;
+  cancelLivePrediction();
+  updateBackendControls();
+  await renderSamples();
+  updateModelStatus('Fine-tuning...');
+
+  const status = document.getElementById('fineTuneStatus');
+  const setStatus = (text) => {
+    if (status) {
+      status.textContent = text;
+      status.classList.remove('hidden');
+    }
+  };
+  setStatus(`Fine-tuning on ${samples.length} drawings...`);
+
+  const { epochs } = CONFIG.fineTune;
 
-function createModel() {
   try {
-    const model = tf.sequential({
-      name: 'digit-classifier',
+    const result = await requireWorker().fineTune(CONFIG.model, CONFIG.fineTune, packSamples(samples), {
+      onEpochEnd: ({ epoch, logs }) => {
+        setStatus(`Epoch ${epoch + 1}/${epochs} · loss ${logs.loss.toFixed(4)} · MNIST val accuracy ${(logs.val_acc * 100).toFixed(2)}%`);
+      },
     });
 
-    // First Convolutional Block
-    model.add(tf.layers.conv2d({
-      inputShape: [28, 28, 1],
-      kernelSize: 3,
-      filters: 32,
-      strides: 1,
-      activation: 'relu',
-      kernelInitializer: 'heNormal',
-      name: 'conv1',
-    }));
-
-    model.add(tf.layers.maxPooling2d({
-      poolSize: [2, 2],
-      strides: [2, 2],
-      name: 'pool1',
-    }));
-
-    // Second Convolutional Block
-    model.add(tf.layers.conv2d({
-      filters: 64,
-      kernelSize: 3,
-      strides: 1,
-      activation: 'relu',
-      kernelInitializer: 'heNormal',
-      name: 'conv2',
-    }));
-
-    model.add(tf.layers.maxPooling2d({
-      poolSize: [2, 2],
-      strides: [2, 2],
-      name: 'pool2',
-    }));
-
-    // Third Convolutional Block
-    model.add(tf.layers.conv2d({
-      filters: 128,
-      kernelSize: 3,
-      strides: 1,
-      activation: 'relu',
-      kernelInitializer: 'heNormal',
-      name: 'conv3',
-    }));
-
-    // Flatten and Dense Layers
-    model.add(tf.layers.flatten({ name: 'flatten' }));
-
-    model.add(tf.layers.dropout({
-      rate: 0.3,
-      name: 'dropout1',
-    }));
-
-    model.add(tf.layers.dense({
-      units: 256,
-      activation: 'relu',
-      kernelInitializer: 'heNormal',
-      name: 'dense1',
-    }));
-
-    model.add(tf.layers.dropout({
-      rate: 0.4,
-      name: 'dropout2',
-    }));
-
-    model.add(tf.layers.dense({
-      units: 128,
-      activation: 'relu',
-      kernelInitializer: 'heNormal',
-      name: 'dense2',
-    }));
-
-    model.add(tf.layers.dropout({
-      rate: 0.4,
-      name: 'dropout3',
-    }));
-
-    model.add(tf.layers.dense({
-      units: 64,
-      activation: 'relu',
-      kernelInitializer: 'heNormal',
-      name: 'dense3',
-    }));
-
-    model.add(tf.layers.dense({
-      units: 10,
-      activation: 'softmax',
-      kernelInitializer: 'glorotNormal',
-      name: 'output',
-    }));
-
-    const optimizer = tf.train.adam(0.001);
-
-    model.compile({
-      optimizer,
-      loss: 'categoricalCrossentropy',
-      metrics: ['accuracy'],
-    });
+    const model = await artifactsToModel(result.artifacts);
+    await activateModel(model, { loadedInWorker: true });
+
+    const before = (result.accuracyBefore * 100).toFixed(1);
+    const after = (result.accuracyAfter * 100).toFixed(1);
+    setStatus(`Accuracy on your drawings: ${before}% → ${after}% · MNIST val accuracy ${(result.lastLogs.val_acc * 100).toFixed(2)}%`);
 
-    model.summary();
-    return model;
+    await APP_STATE.registry.save(model, {
+      name: `Fine-tuned ${new Date().toLocaleString()}`,
+      valAccuracy: result.lastLogs.val_acc ?? null,
+      epochs,
+    });
+    showToast('Fine-Tuning Complete', `Accuracy on your drawings: ${before}% → ${after}%`, 'success');
 
   } catch (error) {
-    console.error('❌ Error creating model:', error);
-    showToast('Error creating model', error.message, 'error');
-    throw error;
+    console.error('❌ Fine-tuning failed:', error);
+    updateModelStatus('Ready');
+    setStatus('Fine-tuning failed');
+    showToast('Fine-Tuning Failed', error.message, 'error');
+
+  } finally {
+    APP_STATE.isFineTuning = false;
+    updateBackendControls();
+    await renderSamples();
   }
 }
 
-
 // ============================================================================
-// Training Functions
+// Evaluation Functions
 // ============================================================================
 
-async function trainModel(model, data) {
+// Run the active model over the whole test split and show where it goes wrong
+async function runEvaluation() {
+  if (!APP_STATE.isModelReady) {
+    showToast('No Model', 'Train or load a model first', 'error');
+    return;
+  }
+
+  if (!APP_STATE.isDataReady) {
+    showToast('Dataset Not Loaded', 'Wait for the dataset before evaluating', 'warning');
+    return;
+  }
+
+  if (APP_STATE.isEvaluating || APP_STATE.isTraining || APP_STATE.isFineTuning) return;
+
+  APP_STATE.isEvaluating = true;
+  updateBackendControls();
+
+  const button = document.getElementById('evaluateBtn');
+  if (button) {
+    button.disabled = true;
+    button.querySelector('span').textContent = 'Evaluating...';
+  }
+
+  const summary = document.getElementById('evaluationSummary');
+  if (summary) {
+    summary.textContent = `Classifying ${APP_STATE.data.numTestElements.toLocaleString()} test images...`;
+  }
+
   try {
-    APP_STATE.isTraining = true;
-    updateModelStatus('Training...');
+    const { numSamples, matrix, misclassified } = await APP_STATE.worker.evaluate(
+      CONFIG.evaluation.batchSize,
+      CONFIG.evaluation.galleryLimit
+    );
+    const metrics = classMetrics(matrix);
+    console.log('📋 Test set evaluation:', metrics);
+
+    if (summary) {
+      const errors = numSamples - Math.round(metrics.accuracy * numSamples);
+      summary.textContent = `Accuracy ${(metrics.accuracy * 100).toFixed(2)}% on ${numSamples.toLocaleString()} test images · ${errors.toLocaleString()} misclassified · macro F1 ${metrics.macro.f1.toFixed(3)}`;
+    }
+
+    document.getElementById('evaluationResults')?.classList.remove('hidden');
+    renderConfusionMatrix(matrix);
+    renderClassMetrics(metrics);
+    renderMisclassifiedGallery(misclassified);
+
+  } catch (error) {
+    console.error('❌ Evaluation failed:', error);
+    showToast('Evaluation Failed', error.message, 'error');
+    if (summary) {
+      summary.textContent = 'Evaluation failed';
+    }
+
+  } finally {
+    APP_STATE.isEvaluating = false;
+    updateBackendControls();
+
+    if (button) {
+      button.disabled = false;
+      button.querySelector('span').textContent = 'Evaluate on Test Set';
+    }
+  }
+}
+
+// Results belong to one model, so drop them when another becomes active
+function resetEvaluation() {
+  document.getElementById('evaluationResults')?.classList.add('hidden');
 
-    const { batchSize, trainDataSize, testDataSize, epochs } = CONFIG.model;
+  const summary = document.getElementById('evaluationSummary');
+  if (summary) {
+    summary.textContent = 'Classify every test image to see which digits the model confuses';
+  }
+}
+
+function renderConfusionMatrix(matrix) {
+  const container = document.getElementById('confusionMatrix');
+  if (!container) return;
+
+  // Unshaded diagonal so the colour scale shows the mistakes
+  tfvis.render.confusionMatrix(container, {
+    values: matrix,
+    tickLabels: matrix.map((row, digit) => String(digit)),
+  }, {
+    shadeDiagonal: false,
+  });
+}
+
+function renderClassMetrics(metrics) {
+  const container = document.getElementById('classMetrics');
+  if (!container) return;
+
+  const format = value => value.toFixed(3);
+  const values = metrics.classes.map(({ precision, recall, f1, support }, digit) => [
+    digit, format(precision), format(recall), format(f1), support,
+  ]);
+  values.push([
+    'Macro avg',
+    format(metrics.macro.precision),
+    format(metrics.macro.recall),
+    format(metrics.macro.f1),
+    metrics.total,
+  ]);
+
+  tfvis.render.table(container, {
+    headers: ['Class', 'Precision', 'Recall', 'F1', 'Support'],
+    values,
+  });
+}
+
+function renderMisclassifiedGallery(samples) {
+  const gallery = document.getElementById('misclassifiedGallery');
+  if (!gallery) return;
+
+  gallery.innerHTML = '';
+  document.getElementById('misclassifiedDetail')?.classList.add('hidden');
+
+  if (samples.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'evaluation-hint';
+    empty.textContent = 'No test image was misclassified 🎉';
+    gallery.appendChild(empty);
+    return;
+  }
 
-    // Prepare training data
-    const [trainXs, trainYs] = tf.tidy(() => {
-      const d = data.nextTrainBatch(trainDataSize);
-      return [
-        d.xs.reshape([trainDataSize, 28, 28, 1]),
-        d.labels
-      ];
+  samples.forEach((sample) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'misclassified-item';
+    item.title = `True ${sample.label}, predicted ${sample.predicted}`;
+
+    const caption = document.createElement('span');
+    caption.textContent = `${sample.label} → ${sample.predicted}`;
+
+    const confidence = document.createElement('span');
+    confidence.className = 'misclassified-confidence';
+    confidence.textContent = `${(sample.confidence * 100).toFixed(1)}%`;
+
+    item.append(renderDigit(sample.pixels), caption, confidence);
+    item.addEventListener('click', () => {
+      gallery.querySelectorAll('.misclassified-item.selected')
+        .forEach(other => other.classList.remove('selected'));
+      item.classList.add('selected');
+      showMisclassifiedDetail(sample);
     });
+    gallery.appendChild(item);
+  });
+}
+
+// Enlarged image with every class probability of one misclassified sample
+function showMisclassifiedDetail(sample) {
+  const detail = document.getElementById('misclassifiedDetail');
+  if (!detail) return;
+
+  detail.innerHTML = '';
+
+  const info = document.createElement('div');
+  info.className = 'misclassified-info';
+
+  const title = document.createElement('strong');
+  title.textContent = `True label ${sample.label}, predicted ${sample.predicted}`;
+  info.appendChild(title);
+
+  sample.probabilities
+    .map((probability, digit) => ({ digit, probability }))
+    .sort((a, b) => b.probability - a.probability)
+    .forEach(({ digit, probability }) => {
+      const row = document.createElement('div');
+      row.className = 'misclassified-probability';
+      row.classList.toggle('is-true-label', digit === sample.label);
 
-    // Prepare validation data
-    const [testXs, testYs] = tf.tidy(() => {
-      const d = data.nextTestBatch(testDataSize);
-      return [
-        d.xs.reshape([testDataSize, 28, 28, 1]),
-        d.labels
-      ];
+      const label = document.createElement('span');
+      label.textContent = digit;
+
+      const bar = document.createElement('div');
+      bar.className = 'misclassified-probability-bar';
+      bar.style.width = `${probability * 100}%`;
+
+      const value = document.createElement('span');
+      value.textContent = `${(probability * 100).toFixed(1)}%`;
+
+      row.append(label, bar, value);
+      info.appendChild(row);
     });
 
-    // Custom callback for training progress
-    const customCallback = {
-      onEpochEnd:  async (epoch, logs) => {
-        APP_STATE.currentEpoch = epoch + 1;
-        const progress = ((epoch + 1) / epochs) * 100;
+  detail.append(renderDigit(sample.pixels), info);
+  detail.classList.remove('hidden');
+}
 
-        // Update UI with all metrics
-        updateTrainingProgress(progress, epoch + 1, logs);
+// ============================================================================
+// Model Import/Export Functions
+// ============================================================================
 
-        // Allow UI to update
-        await tf.nextFrame();
-      },
-      onBatchEnd: async (batch, logs) => {
-        // Periodic UI updates during batch processing
-        if (batch % 10 === 0) {
-          await tf.nextFrame();
-        }
-      },
-    };
+async function downloadModel() {
+  if (!APP_STATE.model || !APP_STATE.isModelReady) {
+    showToast('No Model', 'Train or load a model first', 'error');
+    return;
+  }
 
-    // TensorFlow Vis callbacks
-    const metrics = ['loss', 'val_loss', 'acc', 'val_acc'];
-    const container = {
-      name: 'Model Training',
-      tab: 'Training',
-      styles: { height: '640px' }
-    };
-    const fitCallbacks = tfvis.show.fitCallbacks(container, metrics);
+  try {
+    await APP_STATE.model.save('downloads://digitnet-model');
+    showToast('Model Downloaded', 'Keep model.json and its .bin files together', 'success');
+  } catch (error) {
+    console.error('❌ Error downloading model:', error);
+    showToast('Download Failed', error.message, 'error');
+  }
+}
 
-    // Combine callbacks
-    const combinedCallbacks = {
-      onEpochEnd: async (epoch, logs) => {
-        // Call tfvis callback first
-        if (fitCallbacks && fitCallbacks.onEpochEnd) {
-          await fitCallbacks.onEpochEnd(epoch, logs);
-        }
-        // Then call a custom callback
-        if (customCallback.onEpochEnd) {
-          await customCallback.onEpochEnd(epoch, logs);
-        }
-      },
-      onBatchEnd: async (batch, logs) => {
-        if (fitCallbacks && fitCallbacks.onBatchEnd) {
-          await fitCallbacks.onBatchEnd(batch, logs);
-        }
-        if (customCallback.onBatchEnd) {
-          await customCallback.onBatchEnd(batch, logs);
-        }
-      },
-    };
+// Quantize the active model's weights in the worker, then compare size and
+// test accuracy with the float32 model before anything is downloaded
+async function runQuantization() {
+  if (!APP_STATE.isModelReady) {
+    showToast('No Model', 'Train or load a model first', 'error');
+    return;
+  }
 
-    // Show the visor and toggle button
-    tfvis.visor().open();
-    APP_STATE.visorOpen = true;
-    updateVisorButtonText();
+  if (!APP_STATE.isDataReady) {
+    showToast('Dataset Not Loaded', 'Wait for the dataset before quantizing', 'warning');
+    return;
+  }
 
-    const toggleBtn = document.getElementById('toggleVisorBtn');
-    if (toggleBtn) {
-      toggleBtn.classList.remove('hidden');
+  if (APP_STATE.isEvaluating || APP_STATE.isTraining || APP_STATE.isFineTuning) return;
+
+  const dtype = document.getElementById('quantizationDtype')?.value || 'uint8';
+
+  APP_STATE.isEvaluating = true;
+  updateBackendControls();
+  resetQuantization();
+
+  const button = document.getElementById('quantizeBtn');
+  if (button) {
+    button.disabled = true;
+    button.querySelector('span').textContent = 'Quantizing...';
+  }
+
+  const summary = document.getElementById('quantizationSummary');
+  if (summary) {
+    summary.textContent = `Evaluating the float32 and ${dtype} models on ${APP_STATE.data.numTestElements.toLocaleString()} test images...`;
+  }
+
+  try {
+    const report = await APP_STATE.worker.quantize(dtype, CONFIG.evaluation.batchSize);
+    APP_STATE.quantizedExport = report;
+    console.log(`📦 ${dtype} quantization:`, { original: report.original, quantized: report.quantized });
+    renderQuantizationReport(report);
+
+  } catch (error) {
+    console.error('❌ Quantization failed:', error);
+    showToast('Quantization Failed', error.message, 'error');
+    if (summary) {
+      summary.textContent = 'Quantization failed';
     }
 
-    // Train the model
-    const history = await model.fit(trainXs, trainYs, {
-      batchSize,
-      validationData: [testXs, testYs],
-      epochs,
-      shuffle: true,
-      callbacks: combinedCallbacks,
+  } finally {
+    APP_STATE.isEvaluating = false;
+    updateBackendControls();
+
+    if (button) {
+      button.disabled = false;
+      button.querySelector('span').textContent = 'Quantize & Evaluate';
+    }
+  }
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(1)} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function renderQuantizationReport({ dtype, numSamples, original, quantized }) {
+  const summary = document.getElementById('quantizationSummary');
+  if (summary) {
+    const ratio = (quantized.totalBytes / original.totalBytes) * 100;
+    const change = (quantized.accuracy - original.accuracy) * 100;
+    summary.textContent = `${formatSize(original.totalBytes)} → ${formatSize(quantized.totalBytes)} (${ratio.toFixed(0)}% of the size) · ` +
+      `test accuracy ${(original.accuracy * 100).toFixed(2)}% → ${(quantized.accuracy * 100).toFixed(2)}% ` +
+      `(${change >= 0 ? '+' : '−'}${Math.abs(change).toFixed(2)} points) on ${numSamples.toLocaleString()} images`;
+  }
+
+  const dtypeHeader = document.getElementById('quantizationDtypeHeader');
+  if (dtypeHeader) {
+    dtypeHeader.textContent = dtype;
+  }
+
+  const tbody = document.getElementById('quantizationTableBody');
+  if (tbody) {
+    const quantizedBytes = new Map(quantized.layers.map(layer => [layer.name, layer.bytes]));
+    const row = (cells, className = '') => {
+      const tr = document.createElement('tr');
+      tr.className = className;
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      return tr;
+    };
+
+    tbody.innerHTML = '';
+    original.layers.forEach(({ name, bytes }) => {
+      const share = `${((bytes / original.weightBytes) * 100).toFixed(1)}%`;
+      tbody.appendChild(row([name, formatSize(bytes), formatSize(quantizedBytes.get(name)), share]));
     });
+    tbody.appendChild(row(
+      ['Total (model.json + weights)', formatSize(original.totalBytes), formatSize(quantized.totalBytes), ''],
+      'quantization-total'
+    ));
+  }
 
-    // Clean up tensors
-    trainXs.dispose();
-    trainYs.dispose();
-    testXs.dispose();
-    testYs.dispose();
+  document.getElementById('quantizationResults')?.classList.remove('hidden');
 
-    APP_STATE.isTraining = false;
-    APP_STATE.isModelReady = true;
+  const downloadButton = document.getElementById('downloadQuantizedBtn');
+  if (downloadButton) {
+    downloadButton.disabled = false;
+  }
+}
 
-    updateModelStatus('Ready');
-    showToast('Training Complete!', 'Model is ready to classify digits', 'success');
+// The report belongs to one model, so drop it when another becomes active
+function resetQuantization() {
+  APP_STATE.quantizedExport = null;
+  document.getElementById('quantizationResults')?.classList.add('hidden');
+
+  const downloadButton = document.getElementById('downloadQuantizedBtn');
+  if (downloadButton) {
+    downloadButton.disabled = true;
+  }
 
-    // Show drawing section
-    showDrawingSection();
+  const summary = document.getElementById('quantizationSummary');
+  if (summary) {
+    summary.textContent = 'Store the weights in fewer bits for a smaller download, and check what it costs in accuracy';
+  }
+}
 
-    return history;
+async function downloadQuantizedModel() {
+  const report = APP_STATE.quantizedExport;
+  if (!report) {
+    showToast('Not Quantized', 'Quantize the model first', 'error');
+    return;
+  }
 
+  try {
+    // The weights manifest records the quantization, so "Upload Model" and
+    // tf.loadLayersModel() read these files like any other model
+    await tf.io.browserDownloads(`digitnet-model-${report.dtype}`).save(report.artifacts);
+    showToast('Model Downloaded', `${report.dtype} weights, ${formatSize(report.quantized.totalBytes)}`, 'success');
   } catch (error) {
-    console.error('❌ Training error:', error);
-    APP_STATE.isTraining = false;
-    updateModelStatus('Error');
-    showToast('Training Failed', error.message, 'error');
-    throw error;
+    console.error('❌ Error downloading quantized model:', error);
+    showToast('Download Failed', error.message, 'error');
+  }
+}
+
+async function uploadModel(e) {
+  const files = Array.from(e.target.files || []);
+  // Reset so picking the same files again still fires a change event
+  e.target.value = '';
+
+  if (files.length === 0) return;
+
+  const jsonFile = files.find(file => file.name.endsWith('.json'));
+  const weightFiles = files.filter(file => file.name.endsWith('.bin'));
+
+  if (!jsonFile) {
+    showToast('Upload Failed', 'Select a model.json file together with its .bin weight files', 'error');
+    return;
+  }
+
+  let model = null;
+  try {
+    updateModelStatus('Loading model...');
+    const loaded = await tf.loadLayersModel(tf.io.browserFiles([jsonFile, ...weightFiles]));
+
+    try {
+      validateModelShape(loaded);
+    } catch (error) {
+      loaded.dispose();
+      throw error;
+    }
+
+    // activateModel() disposes the model itself if the worker can't take it
+    await activateModel(loaded);
+    model = loaded;
+  } catch (error) {
+    console.error('❌ Error uploading model:', error);
+    updateModelStatus(APP_STATE.isModelReady ? 'Ready' : 'Error');
+    showToast('Upload Failed', error.message, 'error');
+    return;
+  }
+
+  // The model is active from here on, so a failed save only costs the copy
+  try {
+    await APP_STATE.registry.save(model, {
+      name: jsonFile.name.replace(/\.json$/, ''),
+    });
+    await renderSavedModels();
+    showToast('Model Uploaded', `${jsonFile.name} is ready to classify digits`, 'success');
+  } catch (error) {
+    console.error('❌ Error saving uploaded model:', error);
+    showToast('Loaded but Not Saved', `${jsonFile.name} is active but wasn't saved for next time: ${error.message}`, 'warning');
+  }
+}
+
+function validateModelShape(model) {
+  const { inputShape, numClasses } = CONFIG.model;
+
+  const actualInput = model.inputs[0].shape.slice(1);
+  if (actualInput.length !== inputShape.length ||
+      actualInput.some((dim, i) => dim !== inputShape[i])) {
+    throw new Error(
+      `Incompatible model input shape. Expected [${inputShape}], got [${actualInput}]`
+    );
+  }
+
+  const actualOutput = model.outputs[0].shape.slice(1);
+  if (actualOutput.length !== 1 || actualOutput[0] !== numClasses) {
+    throw new Error(
+      `Incompatible model output shape. Expected [${numClasses}], got [${actualOutput}]`
+    );
+  }
+
+  const outputLayer = model.layers[model.layers.length - 1];
+  const { activation } = outputLayer.getConfig();
+  if (activation !== 'softmax') {
+    throw new Error(
+      `Incompatible output activation. Expected softmax, got ${activation || 'none'}`
+    );
   }
 }
 
@@ -298,35 +2494,69 @@ async function trainModel(model, data) {
 // Canvas Drawing Functions
 // ============================================================================
 
+// The drawing is kept as a list of strokes in canvas units (280×280, or
+// 840×280 in number mode). The visible canvas is redrawn from it at the
+// screen's pixel density; the model reads an offscreen copy at canvas units.
 function initCanvas() {
   APP_STATE.canvas = document.getElementById('canvas');
   APP_STATE.rawImage = document.getElementById('canvasimg');
-  APP_STATE.ctx = APP_STATE.canvas. getContext('2d', {
+  APP_STATE.ctx = APP_STATE.canvas.getContext('2d');
+
+  APP_STATE.inputCanvas = document.createElement('canvas');
+  APP_STATE.inputCanvas.width = CONFIG.canvas.width;
+  APP_STATE.inputCanvas.height = CONFIG.canvas.height;
+  APP_STATE.inputCtx = APP_STATE.inputCanvas.getContext('2d', {
     willReadFrequently: true,
   });
 
-  // Set canvas properties
-  const { ctx } = APP_STATE;
-  const { fillStyle } = CONFIG.canvas;
-
-  ctx.fillStyle = fillStyle;
-  ctx.fillRect(0, 0, CONFIG.canvas.width, CONFIG.canvas.height);
-
-  // Event listeners
-  APP_STATE.canvas.addEventListener('mousedown', handleMouseDown);
-  APP_STATE.canvas.addEventListener('mousemove', handleMouseMove);
-  APP_STATE.canvas.addEventListener('mouseup', handleMouseUp);
-  APP_STATE.canvas.addEventListener('mouseleave', handleMouseUp);
+  resizeCanvas();
+  window.addEventListener('resize', () => {
+    cancelAnimationFrame(APP_STATE.resizeFrame);
+    APP_STATE.resizeFrame = requestAnimationFrame(resizeCanvas);
+  });
 
-  // Touch support
-  APP_STATE.canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
-  APP_STATE.canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-  APP_STATE.canvas.addEventListener('touchend', handleTouchEnd);
+  // Mouse, touch and stylus all arrive as pointer events
+  APP_STATE.canvas.addEventListener('pointerdown', handlePointerDown);
+  APP_STATE.canvas.addEventListener('pointermove', handlePointerMove);
+  APP_STATE.canvas.addEventListener('pointerup', handlePointerUp);
+  APP_STATE.canvas.addEventListener('pointercancel', handlePointerUp);
 
   // Button event listeners
   document.getElementById('classifyBtn').addEventListener('click', classifyDrawing);
   document.getElementById('clearBtn').addEventListener('click', clearCanvas);
 
+  // Tools and stroke history
+  document.querySelectorAll('[data-tool]').forEach((button) => {
+    button.addEventListener('click', () => setTool(button.dataset.tool));
+  });
+  [
+    ['undoBtn', undoStroke],
+    ['redoBtn', redoStroke],
+    ['replayBtn', replayStrokes],
+  ].forEach(([id, handler]) => {
+    document.getElementById(id)?.addEventListener('click', handler);
+  });
+  document.addEventListener('keydown', handleHistoryShortcut);
+  updateHistoryControls();
+
+  const wideCanvasToggle = document.getElementById('wideCanvasToggle');
+  if (wideCanvasToggle) {
+    wideCanvasToggle.addEventListener('change', e => setWideCanvas(e.target.checked));
+  }
+
+  const liveModeToggle = document.getElementById('liveModeToggle');
+  if (liveModeToggle) {
+    liveModeToggle.addEventListener('change', (e) => {
+      APP_STATE.liveMode = e.target.checked;
+      scheduleLivePrediction(true);
+    });
+  }
+
+  const digitSegments = document.getElementById('digitSegments');
+  if (digitSegments) {
+    digitSegments.addEventListener('click', handleSegmentAction);
+  }
+
   // Pen size control
   const penSizeSlider = document. getElementById('penSize');
   const penSizeValue = document.getElementById('penSizeValue');
@@ -339,120 +2569,382 @@ function initCanvas() {
     penPreview.style.height = `${APP_STATE.penSize}px`;
   });
 
-  // Initialize pen preview
-  penPreview.style. width = `${APP_STATE.penSize}px`;
-  penPreview.style.height = `${APP_STATE.penSize}px`;
+  const normalizeStrokeToggle = document.getElementById('normalizeStrokeToggle');
+  if (normalizeStrokeToggle) {
+    normalizeStrokeToggle.checked = CONFIG.preprocessing.normalizeStroke;
+    normalizeStrokeToggle.addEventListener('change', (e) => {
+      CONFIG.preprocessing.normalizeStroke = e.target.checked;
+
+      // Re-run so the shown prediction matches the new setting
+      const hasResult = ['predictionsList', 'numberPrediction']
+        .some(id => !document.getElementById(id)?.classList.contains('hidden'));
+      if (hasResult) {
+        classifyDrawing();
+      }
+    });
+  }
+
+  // Initialize pen preview
+  penPreview.style. width = `${APP_STATE.penSize}px`;
+  penPreview.style.height = `${APP_STATE.penSize}px`;
+
+  console.log('✅ Canvas initialized');
+}
+
+// Match the visible canvas's backing store to its on-screen size times the
+// device pixel ratio, then redraw the strokes at that resolution
+function resizeCanvas() {
+  const { canvas, inputCanvas } = APP_STATE;
+  const rect = canvas.getBoundingClientRect();
+  // Hidden canvases measure 0×0; keep one device pixel per canvas unit then
+  const cssWidth = rect.width || inputCanvas.width;
+  const ratio = window.devicePixelRatio || 1;
+
+  canvas.width = Math.round(cssWidth * ratio);
+  canvas.height = Math.round(cssWidth * ratio * (inputCanvas.height / inputCanvas.width));
+  redrawCanvas();
+}
+
+// Both canvases draw in canvas units; the visible one is scaled to its pixels
+function drawingContexts() {
+  const { ctx, canvas, inputCtx, inputCanvas } = APP_STATE;
+  const scale = canvas.width / inputCanvas.width;
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  return [ctx, inputCtx];
+}
+
+function fillBackground(ctx) {
+  ctx.fillStyle = CONFIG.canvas.fillStyle;
+  ctx.fillRect(0, 0, APP_STATE.inputCanvas.width, APP_STATE.inputCanvas.height);
+}
+
+// Draw points[from..to] of a stroke; the eraser paints the background colour.
+// Each segment is stroked on its own so its width can follow the pressure.
+function drawStrokePath(ctx, stroke, from = 0, to = stroke.points.length - 1) {
+  ctx.lineCap = CONFIG.canvas.lineCap;
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = stroke.tool === 'eraser' ? CONFIG.canvas.fillStyle : CONFIG.canvas.strokeStyle;
+
+  for (let i = from + 1; i <= to; i++) {
+    const start = stroke.points[i - 1];
+    const end = stroke.points[i];
+
+    ctx.lineWidth = stroke.size * pressureScale((start.pressure + end.pressure) / 2);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+  }
+}
+
+// Repaint both canvases from the stroke history
+function redrawCanvas() {
+  stopReplay();
+
+  drawingContexts().forEach((ctx) => {
+    fillBackground(ctx);
+    APP_STATE.strokes.forEach(stroke => drawStrokePath(ctx, stroke));
+  });
+}
+
+// Map a client position to canvas units; the canvas may be scaled by CSS
+function getCanvasPoint(clientX, clientY) {
+  const rect = APP_STATE.canvas.getBoundingClientRect();
+  const { width, height } = APP_STATE.inputCanvas;
+  return {
+    x: (clientX - rect.left) * (width / rect.width),
+    y: (clientY - rect.top) * (height / rect.height),
+  };
+}
+
+function beginStroke(x, y, pressure, tool) {
+  if (APP_STATE.replayFrame) {
+    redrawCanvas();
+  }
+
+  APP_STATE.isDrawing = true;
+  APP_STATE.currentStroke = {
+    tool,
+    size: APP_STATE.penSize,
+    points: [{ x, y, pressure }],
+  };
+
+  hideCanvasOverlay();
+}
+
+function endStroke() {
+  if (!APP_STATE.isDrawing) return;
+
+  APP_STATE.isDrawing = false;
+  const stroke = APP_STATE.currentStroke;
+  APP_STATE.currentStroke = null;
+
+  // A click without movement draws nothing, so it isn't worth an undo step
+  if (stroke.points.length < 2) {
+    if (APP_STATE.strokes.length === 0) {
+      showCanvasOverlay();
+    }
+    return;
+  }
+
+  APP_STATE.strokes.push(stroke);
+  APP_STATE.redoStack = [];
+  handleDrawingChange(true);
+}
+
+// Only one pointer draws at a time; a second finger or a resting palm is
+// ignored until the drawing pointer is lifted
+function handlePointerDown(e) {
+  // Primary button, or the eraser end of a stylus
+  const isEraserEnd = e.pointerType === 'pen' && e.button === 5;
+  if (APP_STATE.activePointerId !== null || (e.button !== 0 && !isEraserEnd)) return;
+
+  e.preventDefault();
+  APP_STATE.activePointerId = e.pointerId;
+  // Keep receiving moves when the pointer leaves the canvas mid-stroke
+  APP_STATE.canvas.setPointerCapture(e.pointerId);
+
+  const { x, y } = getCanvasPoint(e.clientX, e.clientY);
+  beginStroke(x, y, pointerPressure(e), isEraserEnd ? 'eraser' : APP_STATE.tool);
+}
+
+function handlePointerMove(e) {
+  if (e.pointerId !== APP_STATE.activePointerId || !APP_STATE.isDrawing) return;
+
+  // Browsers deliver one move per frame; the coalesced events hold the
+  // positions in between, which keeps fast strokes smooth
+  const events = e.getCoalescedEvents?.() || [];
+  const points = (events.length > 0 ? events : [e]).map(event => ({
+    ...getCanvasPoint(event.clientX, event.clientY),
+    pressure: pointerPressure(event),
+  }));
+
+  drawAtPosition(points);
+}
+
+function handlePointerUp(e) {
+  if (e.pointerId !== APP_STATE.activePointerId) return;
+
+  APP_STATE.activePointerId = null;
+  if (APP_STATE.canvas.hasPointerCapture(e.pointerId)) {
+    APP_STATE.canvas.releasePointerCapture(e.pointerId);
+  }
+  endStroke();
+}
 
-  console.log('✅ Canvas initialized');
+// Stylus pressure in [0, 1]; mouse and touch draw at a constant 0.5
+function pointerPressure(e) {
+  return e.pointerType === 'pen' && e.pressure > 0 ? e.pressure : 0.5;
 }
 
-function handleMouseDown(e) {
-  APP_STATE.isDrawing = true;
-  const rect = APP_STATE.canvas. getBoundingClientRect();
-  const x = e.clientX - rect.left;
-  const y = e.clientY - rect. top;
+// Line width multiplier for a pressure; 0.5 gives exactly the pen size
+function pressureScale(pressure) {
+  const { minPressureScale, maxPressureScale } = CONFIG.canvas;
+  return pressure <= 0.5
+    ? minPressureScale + (1 - minPressureScale) * (pressure / 0.5)
+    : 1 + (maxPressureScale - 1) * ((pressure - 0.5) / 0.5);
+}
 
-  APP_STATE.ctx.beginPath();
-  APP_STATE.ctx.moveTo(x, y);
+// Extend the current stroke and draw only its new segments
+function drawAtPosition(points) {
+  const stroke = APP_STATE.currentStroke;
+  const from = stroke.points.length - 1;
+  stroke.points.push(...points);
 
-  hideCanvasOverlay();
+  drawingContexts().forEach(ctx => drawStrokePath(ctx, stroke, from));
+
+  APP_STATE.hasDrawn = APP_STATE.hasDrawn || stroke.tool === 'pen';
+  hideExplanation();
+  scheduleLivePrediction();
 }
 
-function handleMouseMove(e) {
-  if (APP_STATE.isDrawing) {
-    draw(e);
+// Shared follow-up after a stroke ends, undo and redo
+function handleDrawingChange(strokeEnded = false) {
+  APP_STATE.hasDrawn = APP_STATE.strokes.some(stroke => stroke.tool === 'pen');
+  APP_STATE.segments = null;
+  APP_STATE.rawImage.src = APP_STATE.inputCanvas.toDataURL('image/png');
+  document.getElementById('classifyBtn').disabled = !APP_STATE.hasDrawn;
+  updateHistoryControls();
+
+  if (!strokeEnded) {
+    hideExplanation();
   }
-}
 
-function handleMouseUp() {
-  if (APP_STATE.isDrawing) {
-    APP_STATE.isDrawing = false;
-    APP_STATE.rawImage.src = APP_STATE.canvas.toDataURL('image/png');
-    document.getElementById('classifyBtn').disabled = false;
+  if (APP_STATE.hasDrawn) {
+    hideCanvasOverlay();
+    scheduleLivePrediction(true);
+  } else {
+    cancelLivePrediction();
+    resetPredictionDisplay();
+    if (APP_STATE.strokes.length === 0) {
+      showCanvasOverlay();
+    }
   }
 }
 
-function handleTouchStart(e) {
-  e.preventDefault();
-  APP_STATE.isDrawing = true;
-  const touch = e.touches[0];
-  const rect = APP_STATE. canvas.getBoundingClientRect();
-  const x = touch.clientX - rect.left;
-  const y = touch.clientY - rect.top;
-
-  APP_STATE.ctx.beginPath();
-  APP_STATE.ctx.moveTo(x, y);
+function undoStroke() {
+  if (APP_STATE.isDrawing || APP_STATE.strokes.length === 0) return;
 
-  hideCanvasOverlay();
+  APP_STATE.redoStack.push(APP_STATE.strokes.pop());
+  redrawCanvas();
+  handleDrawingChange();
 }
 
-function handleTouchMove(e) {
-  e.preventDefault();
-  if (APP_STATE.isDrawing) {
-    const touch = e.touches[0];
-    const rect = APP_STATE.canvas.getBoundingClientRect();
-    const x = touch. clientX - rect.left;
-    const y = touch.clientY - rect.top;
+function redoStroke() {
+  if (APP_STATE.isDrawing || APP_STATE.redoStack.length === 0) return;
+
+  APP_STATE.strokes.push(APP_STATE.redoStack.pop());
+  redrawCanvas();
+  handleDrawingChange();
+}
 
-    drawAtPosition(x, y);
+// Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS), except in form fields
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || !APP_STATE.canvas) return;
+  if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.getElementById('drawingSection')?.classList.contains('hidden')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoStroke();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoStroke();
   }
 }
 
-function handleTouchEnd(e) {
-  e.preventDefault();
-  if (APP_STATE.isDrawing) {
-    APP_STATE.isDrawing = false;
-    APP_STATE.rawImage.src = APP_STATE.canvas.toDataURL('image/png');
-    document.getElementById('classifyBtn').disabled = false;
+function updateHistoryControls() {
+  const undoBtn = document.getElementById('undoBtn');
+  if (undoBtn) {
+    undoBtn.disabled = APP_STATE.strokes.length === 0;
+  }
+
+  const redoBtn = document.getElementById('redoBtn');
+  if (redoBtn) {
+    redoBtn.disabled = APP_STATE.redoStack.length === 0;
+  }
+
+  const replayBtn = document.getElementById('replayBtn');
+  if (replayBtn) {
+    replayBtn.disabled = APP_STATE.strokes.length === 0;
   }
 }
 
-function draw(e) {
-  if (!APP_STATE.isDrawing) return;
+function setTool(tool) {
+  APP_STATE.tool = tool;
 
-  const rect = APP_STATE. canvas.getBoundingClientRect();
-  const x = e.clientX - rect.left;
-  const y = e.clientY - rect.top;
+  document.querySelectorAll('[data-tool]').forEach((button) => {
+    const isActive = button.dataset.tool === tool;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', isActive);
+  });
 
-  drawAtPosition(x, y);
+  APP_STATE.canvas.classList.toggle('eraser-mode', tool === 'eraser');
 }
 
-function drawAtPosition(x, y) {
-  const { ctx } = APP_STATE;
-  const { lineCap, strokeStyle } = CONFIG.canvas;
+// Redraw the strokes on screen in the order and direction they were drawn.
+// Only the visible canvas is animated; the model input stays complete.
+function replayStrokes() {
+  if (APP_STATE.isDrawing || APP_STATE.strokes.length === 0) return;
 
-  ctx.lineWidth = APP_STATE.penSize;
-  ctx.lineCap = lineCap;
-  ctx.strokeStyle = strokeStyle;
-  ctx.lineJoin = 'round';
+  stopReplay();
+  const [ctx] = drawingContexts();
+  fillBackground(ctx);
+
+  let strokeIndex = 0;
+  let pointIndex = 0;
+
+  const step = () => {
+    for (let n = 0; n < CONFIG.canvas.replayPointsPerFrame && strokeIndex < APP_STATE.strokes.length; n++) {
+      const stroke = APP_STATE.strokes[strokeIndex];
+      pointIndex++;
+      drawStrokePath(ctx, stroke, pointIndex - 1, pointIndex);
+
+      if (pointIndex >= stroke.points.length - 1) {
+        strokeIndex++;
+        pointIndex = 0;
+      }
+    }
 
-  ctx.lineTo(x, y);
-  ctx.stroke();
-  ctx.beginPath();
-  ctx.moveTo(x, y);
+    APP_STATE.replayFrame = strokeIndex < APP_STATE.strokes.length ? requestAnimationFrame(step) : null;
+  };
 
-  APP_STATE.hasDrawn = true;
+  APP_STATE.replayFrame = requestAnimationFrame(step);
 }
 
-function clearCanvas() {
-  const { ctx } = APP_STATE;
-  const { fillStyle } = CONFIG.canvas;
+// Stopping halfway leaves a partial drawing on screen, so callers redraw
+function stopReplay() {
+  cancelAnimationFrame(APP_STATE.replayFrame);
+  APP_STATE.replayFrame = null;
+}
+
+// Back to the "draw a digit" placeholder
+function resetPredictionDisplay() {
+  document.getElementById('predictionResult').classList.remove('hidden');
+  document.getElementById('predictionsList').classList.add('hidden');
+  document.getElementById('numberPrediction')?.classList.add('hidden');
+  document.getElementById('predictionLatency')?.classList.add('hidden');
+
+  // Rebuild the bars next time so they animate in again
+  document.getElementById('confidenceBars').innerHTML = '';
+}
 
-  ctx.fillStyle = fillStyle;
-  ctx.fillRect(0, 0, CONFIG.canvas.width, CONFIG.canvas.height);
+// Start over with an empty drawing and history
+function clearCanvas() {
+  APP_STATE.strokes = [];
+  APP_STATE.redoStack = [];
+  APP_STATE.currentStroke = null;
+  APP_STATE.isDrawing = false;
+  redrawCanvas();
+  updateHistoryControls();
 
   APP_STATE.hasDrawn = false;
+  APP_STATE.segments = null;
+  APP_STATE.feedbackSample = null;
+  cancelLivePrediction();
+  hideExplanation();
 
   // Disable classify button
   document.getElementById('classifyBtn').disabled = true;
 
   // Hide prediction results
-  document.getElementById('predictionResult').classList.remove('hidden');
-  document.getElementById('predictionsList').classList.add('hidden');
+  resetPredictionDisplay();
 
   showCanvasOverlay();
 }
 
+// Switch between the square single-digit canvas and the wide number canvas
+function setWideCanvas(enabled) {
+  APP_STATE.wideCanvas = enabled;
+
+  const section = document.getElementById('drawingSection');
+  if (section) {
+    section.classList.toggle('wide-mode', enabled);
+  }
+
+  // Strokes from one layout don't fit the other, so start from a blank drawing
+  APP_STATE.inputCanvas.width = enabled ? CONFIG.canvas.wideWidth : CONFIG.canvas.width;
+  clearCanvas();
+  resizeCanvas();
+
+  const title = document.getElementById('canvasTitle');
+  if (title) {
+    title.textContent = enabled ? '✍️ Draw a Number' : '✍️ Draw a Digit (0-9)';
+  }
+}
+
+// Grayscale pixels of the drawing at canvas units, for preprocessing
+function readDrawing() {
+  const { inputCanvas, inputCtx } = APP_STATE;
+  const { width, height } = inputCanvas;
+  return {
+    gray: imageDataToGrayscale(inputCtx.getImageData(0, 0, width, height)),
+    width,
+    height,
+  };
+}
+
 // ============================================================================
 // Prediction Functions
 // ============================================================================
@@ -463,37 +2955,99 @@ async function classifyDrawing() {
     return;
   }
 
+  if (APP_STATE.wideCanvas) {
+    await classifyNumber();
+    return;
+  }
+
   try {
-    // Prepare the image
-    const tensor = tf.tidy(() => {
-      // Convert image to tensor
-      const raw = tf.browser.fromPixels(APP_STATE.rawImage, 1);
+    const result = await predictDigit();
 
-      // Resize to 28x28
-      const resized = tf.image.resizeBilinear(raw, [28, 28]);
+    if (!result) {
+      showToast('Empty Canvas', 'Please draw a digit first', 'error');
+      return;
+    }
 
-      // Normalize pixel values
-      const normalized = resized.div(255.0);
+    console.log('✅ Classification complete:', result.digit);
+    explainDrawing(result.pixels, result.digit);
 
-      // Add batch dimension
-      return normalized.expandDims(0);
-    });
+  } catch (error) {
+    console.error('❌ Classification error:', error);
+    showToast('Classification Failed', error.message, 'error');
+  }
+}
 
-    // Make prediction
-    const prediction = APP_STATE.model.predict(tensor);
-    const probabilities = await prediction.data();
+// Classify the single-digit canvas and show the result; null when it is blank
+async function predictDigit() {
+  const startTime = performance.now();
 
-    // Get predicted class
-    const predictedClass = await tf.argMax(prediction, 1).data();
+  // Crop, scale and centre the drawing like an MNIST digit
+  const { gray, width, height } = readDrawing();
+  const processed = preprocessDigit(gray, width, height, CONFIG.preprocessing);
 
-    // Clean up tensors
-    tensor.dispose();
-    prediction.dispose();
+  if (!processed) return null;
 
-    // Display results
-    displayPredictions(predictedClass[0], probabilities);
+  const probabilities = await APP_STATE.worker.predict(processed.pixels, 1);
 
-    console.log('✅ Classification complete:', predictedClass[0]);
+  // The canvas may have been cleared while the prediction was running
+  if (!APP_STATE.hasDrawn) return null;
+
+  const digit = probabilities.indexOf(Math.max(...probabilities));
+
+  // Show exactly what the network sees
+  const inputCanvas = document.getElementById('modelInputCanvas');
+  if (inputCanvas) {
+    renderDigit(processed.pixels, inputCanvas);
+  }
+
+  displayPredictions(digit, probabilities);
+  showSampleFeedback(processed.pixels, digit);
+  updatePredictionLatency(performance.now() - startTime);
+
+  return { digit, probabilities, pixels: processed.pixels };
+}
+
+// Wide-canvas mode: split the drawing into digits and classify each one
+async function classifyNumber() {
+  try {
+    const startTime = performance.now();
+
+    if (!APP_STATE.segments) {
+      const { gray, width, height } = readDrawing();
+      APP_STATE.segments = segmentDigits(gray, width, height);
+    }
+
+    const { segments } = APP_STATE;
+    if (segments.length === 0) {
+      showToast('Empty Canvas', 'Please draw a number first', 'error');
+      return;
+    }
+
+    // Every piece goes through the same preprocessing as a single digit
+    const inputs = segments.map(segment => preprocessDigit(
+      segment.pixels, segment.box.width, segment.box.height, CONFIG.preprocessing
+    ).pixels);
+
+    const imageSize = inputs[0].length;
+    const batch = new Float32Array(inputs.length * imageSize);
+    inputs.forEach((pixels, i) => batch.set(pixels, i * imageSize));
+
+    const probabilities = await APP_STATE.worker.predict(batch, inputs.length);
+
+    // The canvas may have been cleared while the prediction was running
+    if (!APP_STATE.hasDrawn) return;
+
+    const { numClasses } = CONFIG.model;
+    const digits = inputs.map((pixels, i) => {
+      const scores = Array.from(probabilities.subarray(i * numClasses, (i + 1) * numClasses));
+      const digit = scores.indexOf(Math.max(...scores));
+      return { digit, confidence: scores[digit], pixels };
+    });
+
+    displayNumberPrediction(digits);
+    updatePredictionLatency(performance.now() - startTime);
+
+    console.log('✅ Number classification complete:', digits.map(d => d.digit).join(''));
 
   } catch (error) {
     console.error('❌ Classification error:', error);
@@ -501,9 +3055,68 @@ async function classifyDrawing() {
   }
 }
 
+function displayNumberPrediction(digits) {
+  document.getElementById('predictionResult').classList.add('hidden');
+  document.getElementById('predictionsList').classList.add('hidden');
+
+  const container = document.getElementById('numberPrediction');
+  if (!container) return;
+  container.classList.remove('hidden');
+
+  document.getElementById('predictedNumber').textContent = digits.map(d => d.digit).join('');
+
+  // The whole number is only right if every digit is
+  const overall = digits.reduce((product, d) => product * d.confidence, 1);
+  document.getElementById('numberConfidence').textContent =
+    `Overall confidence: ${(overall * 100).toFixed(1)}%`;
+
+  const list = document.getElementById('digitSegments');
+  list.innerHTML = '';
+
+  digits.forEach((d, index) => {
+    const item = document.createElement('div');
+    item.className = 'digit-segment';
+    item.innerHTML = `
+      <strong class="digit-segment-value">${d.digit}</strong>
+      <span class="digit-segment-confidence">${(d.confidence * 100).toFixed(1)}%</span>
+      <div class="digit-segment-actions">
+        <button class="btn btn-secondary btn-small" data-action="split" data-index="${index}" title="Split this piece into two digits">Split</button>
+        ${index < digits.length - 1
+          ? `<button class="btn btn-secondary btn-small" data-action="merge" data-index="${index}" title="Join with the next piece">Merge →</button>`
+          : ''}
+      </div>
+    `;
+    item.prepend(renderDigit(d.pixels));
+    list.appendChild(item);
+  });
+}
+
+// Correct a bad split by merging neighbours or splitting a piece, then re-classify
+async function handleSegmentAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button || !APP_STATE.segments) return;
+
+  const index = Number(button.dataset.index);
+  const { segments } = APP_STATE;
+
+  if (button.dataset.action === 'merge' && segments[index + 1]) {
+    segments.splice(index, 2, mergeSegments(segments[index], segments[index + 1]));
+  } else if (button.dataset.action === 'split') {
+    const parts = splitSegment(segments[index]);
+    if (!parts) {
+      showToast('Cannot Split', 'This piece is too narrow to split', 'warning');
+      return;
+    }
+    segments.splice(index, 1, ...parts);
+  }
+
+  await classifyNumber();
+}
+
 function displayPredictions(predictedDigit, probabilities) {
   // Hide placeholder
   document.getElementById('predictionResult').classList.add('hidden');
+  document.getElementById('numberPrediction')?.classList.add('hidden');
 
   // Show predictions list
   const predictionsList = document.getElementById('predictionsList');
@@ -512,42 +3125,279 @@ function displayPredictions(predictedDigit, probabilities) {
   // Display predicted digit
   document.getElementById('predictedDigit').textContent = predictedDigit;
 
-  // Create confidence bars
+  // Create the confidence bars once; later (live) updates reuse them in place
   const confidenceBars = document.getElementById('confidenceBars');
-  confidenceBars.innerHTML = '';
+  if (confidenceBars.children.length !== probabilities.length) {
+    confidenceBars.innerHTML = '';
+    Array.from(probabilities).forEach((prob, digit) => {
+      const item = document.createElement('div');
+      item.className = 'confidence-item';
+      item.dataset.digit = digit;
+      item.innerHTML = `
+        <span class="confidence-label">${digit}</span>
+        <div class="confidence-bar-container">
+          <div class="confidence-bar-fill">
+            <span class="confidence-value"></span>
+          </div>
+        </div>
+      `;
+      confidenceBars.appendChild(item);
+    });
+  }
 
   // Sort predictions by confidence
   const predictions = Array.from(probabilities)
     .map((prob, index) => ({ digit: index, confidence: prob }))
     .sort((a, b) => b.confidence - a.confidence);
 
-  // Display all predictions
+  // Reorder with flex order so the bars animate instead of being re-created
   predictions.forEach((pred, index) => {
-    const item = document.createElement('div');
-    item.className = 'confidence-item';
+    const item = confidenceBars.querySelector(`[data-digit="${pred.digit}"]`);
+    item.style.order = index;
     item.style.animationDelay = `${index * 50}ms`;
 
     const percentage = (pred.confidence * 100).toFixed(1);
-    const isTopPrediction = pred.digit === predictedDigit;
+    const fill = item.querySelector('.confidence-bar-fill');
+    fill.style.width = `${percentage}%`;
+    fill.classList.toggle('top-prediction', pred.digit === predictedDigit);
+    item.querySelector('.confidence-value').textContent = `${percentage}%`;
+  });
+}
 
-    item.innerHTML = `
-      <span class="confidence-label">${pred.digit}</span>
-      <div class="confidence-bar-container">
-        <div class="confidence-bar-fill ${isTopPrediction ? 'top-prediction' : ''}"
-             style="width: ${percentage}%">
-          <span class="confidence-value">${percentage}%</span>
-        </div>
-      </div>
-    `;
+function updatePredictionLatency(milliseconds) {
+  APP_STATE.lastPredictionLatency = milliseconds;
+
+  const latency = document.getElementById('predictionLatency');
+  if (latency) {
+    latency.textContent = `⏱️ Prediction took ${Math.round(milliseconds)} ms`;
+    latency.classList.remove('hidden');
+  }
+}
+
+// ============================================================================
+// Explanation Functions
+// ============================================================================
+
+// Ask the worker why the model predicted this digit; stale answers are dropped
+async function explainDrawing(pixels, digit) {
+  const request = ++APP_STATE.explanationRequest;
+
+  try {
+    const explanation = await APP_STATE.worker.explain(pixels, digit);
+    if (request !== APP_STATE.explanationRequest) return;
+
+    APP_STATE.explanation = { pixels, ...explanation };
+    document.getElementById('explanationSection')?.classList.remove('hidden');
+    renderHeatmap();
+    renderFeatureMaps();
+
+  } catch (error) {
+    console.error('❌ Explanation failed:', error);
+    showToast('Explanation Failed', error.message, 'error');
+  }
+}
+
+// The drawing or the model changed, so the explanation no longer applies
+function hideExplanation() {
+  APP_STATE.explanationRequest++;
+  APP_STATE.explanation = null;
+  document.getElementById('explanationSection')?.classList.add('hidden');
+}
+
+// Blue (0) → red (0.5) → yellow (1)
+function heatColor(value) {
+  return [
+    Math.min(1, value * 2) * 255,
+    Math.max(0, value * 2 - 1) * 255,
+    Math.max(0, 1 - value * 2) * 255,
+  ];
+}
+
+// The model input with the selected heatmap blended over it
+function renderHeatmap() {
+  const { explanation } = APP_STATE;
+  const canvas = document.getElementById('explanationCanvas');
+  if (!explanation || !canvas) return;
+
+  const gradCamInput = document.querySelector('input[name="explanationMode"][value="gradCam"]');
+  if (gradCamInput) {
+    gradCamInput.disabled = !explanation.gradCam;
+    if (!explanation.gradCam && gradCamInput.checked) {
+      document.querySelector('input[name="explanationMode"][value="saliency"]').checked = true;
+    }
+  }
+
+  const mode = document.querySelector('input[name="explanationMode"]:checked')?.value || 'saliency';
+  const heatmap = mode === 'gradCam' ? explanation.gradCam : explanation.saliency;
+  const opacity = Number(document.getElementById('explanationOpacity')?.value ?? CONFIG.explanation.opacity * 100) / 100;
+
+  const [height, width] = CONFIG.model.inputShape;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+
+  heatmap.forEach((value, i) => {
+    const shade = explanation.pixels[i] * 255;
+    const alpha = value * opacity;
+    heatColor(value).forEach((channel, c) => {
+      imageData.data[i * 4 + c] = shade * (1 - alpha) + channel * alpha;
+    });
+    imageData.data[i * 4 + 3] = 255;
+  });
+  ctx.putImageData(imageData, 0, 0);
+
+  const caption = document.getElementById('explanationCaption');
+  if (caption) {
+    const digit = explanation.classIndex;
+    if (Math.max(...heatmap) === 0) {
+      caption.textContent = mode === 'gradCam'
+        ? `No ${explanation.gradCamLayer} feature speaks for ${digit}`
+        : `No pixel changes the score for ${digit}`;
+    } else {
+      caption.textContent = mode === 'gradCam'
+        ? `Grad-CAM (${explanation.gradCamLayer}) for ${digit}`
+        : `Saliency for ${digit}`;
+    }
+  }
+}
+
+// One small grayscale image per channel, scaled to its own min/max
+function renderFeatureMap(maps, channel) {
+  const { height, width, channels, values } = maps;
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = channel; i < values.length; i += channels) {
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
 
-    confidenceBars.appendChild(item);
+  const pixels = new Float32Array(height * width);
+  const range = max - min || 1;
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = (values[i * channels + channel] - min) / range;
+  }
+
+  const canvas = renderDigit(pixels, undefined, [height, width]);
+  canvas.title = `Filter ${channel + 1}`;
+  return canvas;
+}
+
+function renderFeatureMaps() {
+  const container = document.getElementById('featureMaps');
+  const { explanation } = APP_STATE;
+  if (!container || !explanation) return;
+
+  container.innerHTML = '';
+
+  if (explanation.featureMaps.length === 0) {
+    const message = document.createElement('p');
+    message.className = 'evaluation-hint';
+    message.textContent = 'This architecture has no conv layers, so there are no feature maps to show';
+    container.appendChild(message);
+    return;
+  }
+
+  const { maxFeatureMaps } = CONFIG.explanation;
+  explanation.featureMaps.forEach((maps) => {
+    const layer = document.createElement('div');
+    layer.className = 'feature-map-layer';
+
+    const title = document.createElement('h4');
+    const shown = Math.min(maps.channels, maxFeatureMaps);
+    title.textContent = `${maps.name} · ${maps.height}×${maps.width}×${maps.channels}` +
+      (shown < maps.channels ? ` (first ${shown} filters)` : '');
+
+    const grid = document.createElement('div');
+    grid.className = 'feature-map-grid';
+    for (let channel = 0; channel < shown; channel++) {
+      grid.appendChild(renderFeatureMap(maps, channel));
+    }
+
+    layer.append(title, grid);
+    container.appendChild(layer);
   });
 }
 
+// ============================================================================
+// Live Prediction Functions
+// ============================================================================
+
+// Throttled re-classification while drawing; at most one prediction runs at a time
+function scheduleLivePrediction(strokeEnded = false) {
+  if (!APP_STATE.liveMode || !APP_STATE.isModelReady || !APP_STATE.hasDrawn) return;
+
+  // Segmenting the wide canvas is too slow to repeat mid-stroke
+  if (APP_STATE.wideCanvas && !strokeEnded) return;
+
+  if (APP_STATE.isLivePredicting) {
+    APP_STATE.livePredictionPending = true;
+    return;
+  }
+
+  if (APP_STATE.livePredictionTimer) return;
+
+  const { minInterval, latencyFactor } = CONFIG.livePrediction;
+  const interval = Math.max(minInterval, APP_STATE.lastPredictionLatency * latencyFactor);
+  const wait = Math.max(0, APP_STATE.lastLivePrediction + interval - performance.now());
+
+  // Run outside the pointer handler so drawing never waits on the model
+  APP_STATE.livePredictionTimer = setTimeout(runLivePrediction, wait);
+}
+
+async function runLivePrediction() {
+  APP_STATE.livePredictionTimer = null;
+  APP_STATE.isLivePredicting = true;
+  APP_STATE.lastLivePrediction = performance.now();
+
+  try {
+    if (APP_STATE.wideCanvas) {
+      await classifyNumber();
+    } else {
+      await predictDigit();
+    }
+  } catch (error) {
+    console.error('❌ Live prediction error:', error);
+  } finally {
+    APP_STATE.isLivePredicting = false;
+  }
+
+  // Catch up with strokes drawn while the model was busy
+  if (APP_STATE.livePredictionPending) {
+    APP_STATE.livePredictionPending = false;
+    scheduleLivePrediction(true);
+  }
+}
+
+function cancelLivePrediction() {
+  clearTimeout(APP_STATE.livePredictionTimer);
+  APP_STATE.livePredictionTimer = null;
+  APP_STATE.livePredictionPending = false;
+}
+
 // ============================================================================
 // UI Update Functions
 // ============================================================================
 
+// Draw a flattened image in [0, 1] (28x28 unless a shape is given) onto a (new) small canvas
+function renderDigit(pixels, canvas = document.createElement('canvas'), [height, width] = CONFIG.model.inputShape) {
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  pixels.forEach((value, i) => {
+    const shade = Math.round(value * 255);
+    imageData.data[i * 4] = shade;
+    imageData.data[i * 4 + 1] = shade;
+    imageData.data[i * 4 + 2] = shade;
+    imageData.data[i * 4 + 3] = 255;
+  });
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas;
+}
+
 function updateModelStatus(status) {
   const statusElement = document.getElementById('modelStatus');
   if (statusElement) {
@@ -555,8 +3405,7 @@ function updateModelStatus(status) {
   }
 }
 
-function updateTrainingProgress(percentage, epoch, logs) {
-  // Update progress bar
+function updateProgressBar(percentage) {
   const progressFill = document.getElementById('progressFill');
   const progressPercentage = document.getElementById('progressPercentage');
 
@@ -567,11 +3416,16 @@ function updateTrainingProgress(percentage, epoch, logs) {
   if (progressPercentage) {
     progressPercentage.textContent = `${Math.round(percentage)}%`;
   }
+}
+
+function updateTrainingProgress(percentage, epoch, logs, summary = null) {
+  // Update progress bar
+  updateProgressBar(percentage);
 
   // Update epoch
   const currentEpoch = document.getElementById('currentEpoch');
   if (currentEpoch) {
-    currentEpoch.textContent = `${epoch}/${CONFIG.model.epochs}`;
+    currentEpoch.textContent = `${epoch}/${APP_STATE.totalEpochs}`;
   }
 
   // Update accuracy - check both 'accuracy' and 'acc' keys
@@ -593,6 +3447,37 @@ function updateTrainingProgress(percentage, epoch, logs) {
   if (currentLoss && logs.loss) {
     currentLoss.textContent = logs.loss. toFixed(4);
   }
+
+  if (!summary) return;
+
+  // Update best epoch and learning rate
+  const bestEpoch = document.getElementById('bestEpoch');
+  if (bestEpoch && summary.bestEpoch !== null) {
+    const isAccuracy = summary.monitor.endsWith('acc');
+    const value = isAccuracy
+      ? `${(summary.bestValue * 100).toFixed(2)}%`
+      : summary.bestValue.toFixed(4);
+    bestEpoch.textContent = `${summary.bestEpoch} (${summary.monitor} ${value})`;
+  }
+
+  const currentLearningRate = document.getElementById('currentLearningRate');
+  if (currentLearningRate) {
+    currentLearningRate.textContent = summary.learningRate.toExponential(1);
+  }
+
+  // Explain why training stopped
+  const stopReason = document.getElementById('trainingStopReason');
+  if (stopReason) {
+    stopReason.textContent = summary.stopReason || '';
+    stopReason.classList.toggle('hidden', !summary.stopReason);
+  }
+}
+
+function updateTrainingSeed(seed) {
+  const trainingSeed = document.getElementById('trainingSeed');
+  if (trainingSeed) {
+    trainingSeed.textContent = seed;
+  }
 }
 
 function showWelcomeSection() {
@@ -629,10 +3514,14 @@ function showDrawingSection() {
     drawingSection. classList.remove('hidden');
   }
 
-  // Show architecture section
-  const architectureSection = document.getElementById('architectureSection');
-  if (architectureSection) {
-    architectureSection.classList.remove('hidden');
+  ['samplesSection', 'evaluationSection', 'quantizationSection'].forEach((id) => {
+    document.getElementById(id)?.classList.remove('hidden');
+  });
+
+  // A model exists from here on, so it can be downloaded
+  const downloadModelBtn = document.getElementById('downloadModelBtn');
+  if (downloadModelBtn) {
+    downloadModelBtn.classList.remove('hidden');
   }
 }
 
@@ -708,14 +3597,105 @@ async function initializeApp() {
     console.log('🚀 Initializing AI Handwriting Classifier...');
     updateModelStatus('Ready to start');
 
-    // Load MNIST data in background
-    updateModelStatus('Loading data...');
-    APP_STATE.data = new MnistData();
-    await APP_STATE.data.load();
-    console.log('✅ Data loaded');
+    const backendSelect = document.getElementById('backendSelect');
+    if (backendSelect) {
+      backendSelect.addEventListener('change', changeBackend);
+    }
+
+    const benchmarkBtn = document.getElementById('benchmarkBtn');
+    if (benchmarkBtn) {
+      benchmarkBtn.addEventListener('click', runBenchmark);
+    }
+
+    // Offer saved models before the dataset download finishes
+    APP_STATE.registry = new ModelRegistry();
+
+    // Every training run's settings and metrics, for the runs view
+    APP_STATE.runStore = new RunStore();
+    document.getElementById('runsBtn')?.addEventListener('click', showRuns);
+    document.getElementById('runsCurveSet')?.addEventListener('change', renderRuns);
+
+    const runsTableBody = document.getElementById('runsTableBody');
+    if (runsTableBody) {
+      runsTableBody.addEventListener('change', handleRunSelection);
+      runsTableBody.addEventListener('click', handleRunDelete);
+    }
+
+    [
+      ['exportRunsJsonBtn', () => exportRuns('json')],
+      ['exportRunsCsvBtn', () => exportRuns('csv')],
+      ['clearRunsBtn', clearRuns],
+    ].forEach(([id, handler]) => {
+      document.getElementById(id)?.addEventListener('click', handler);
+    });
+
+    const importRunsBtn = document.getElementById('importRunsBtn');
+    const runsFileInput = document.getElementById('runsFileInput');
+    if (importRunsBtn && runsFileInput) {
+      importRunsBtn.addEventListener('click', () => runsFileInput.click());
+      runsFileInput.addEventListener('change', importRuns);
+    }
+
+    const savedModelsList = document.getElementById('savedModelsList');
+    if (savedModelsList) {
+      savedModelsList.addEventListener('click', handleSavedModelAction);
+    }
+
+    const useLatestModelBtn = document.getElementById('useLatestModelBtn');
+    if (useLatestModelBtn) {
+      useLatestModelBtn.addEventListener('click', loadLatestModel);
+    }
+
+    const evaluateBtn = document.getElementById('evaluateBtn');
+    if (evaluateBtn) {
+      evaluateBtn.addEventListener('click', runEvaluation);
+    }
+
+    document.getElementById('quantizeBtn')?.addEventListener('click', runQuantization);
+    document.getElementById('downloadQuantizedBtn')?.addEventListener('click', downloadQuantizedModel);
+
+    // Heatmap mode and opacity of the explanation view
+    document.querySelectorAll('input[name="explanationMode"]').forEach((input) => {
+      input.addEventListener('change', renderHeatmap);
+    });
+    document.getElementById('explanationOpacity')?.addEventListener('input', renderHeatmap);
+
+    // Labelled user drawings for fine-tuning
+    APP_STATE.sampleStore = new SampleStore();
+    initSampleFeedback();
+    renderSamples();
 
-    updateModelStatus('Data loaded - Ready to train');
-    showToast('Ready! ', 'Click "Start Training" to begin', 'success');
+    const samplesGrid = document.getElementById('samplesGrid');
+    if (samplesGrid) {
+      samplesGrid.addEventListener('change', handleSampleRelabel);
+      samplesGrid.addEventListener('click', handleSampleDelete);
+    }
+
+    [
+      ['fineTuneBtn', fineTuneOnSamples],
+      ['exportSamplesBtn', exportSamples],
+      ['clearSamplesBtn', clearSamples],
+    ].forEach(([id, handler]) => {
+      document.getElementById(id)?.addEventListener('click', handler);
+    });
+
+    // Setup model download/upload buttons
+    const downloadModelBtn = document.getElementById('downloadModelBtn');
+    if (downloadModelBtn) {
+      downloadModelBtn.addEventListener('click', downloadModel);
+    }
+
+    const uploadModelBtn = document.getElementById('uploadModelBtn');
+    const modelFileInput = document.getElementById('modelFileInput');
+    if (uploadModelBtn && modelFileInput) {
+      uploadModelBtn.addEventListener('click', () => modelFileInput.click());
+      modelFileInput.addEventListener('change', uploadModel);
+    }
+
+    const savedModels = await renderSavedModels();
+    if (savedModels.length > 0) {
+      showToast('Saved Models Found', 'Load one to skip training', 'info');
+    }
 
     // Setup start training button
     const startBtn = document.getElementById('startTrainingBtn');
@@ -733,14 +3713,53 @@ async function initializeApp() {
       });
     }
 
+    // Setup training control buttons
+    const pauseTrainingBtn = document.getElementById('pauseTrainingBtn');
+    if (pauseTrainingBtn) {
+      pauseTrainingBtn.addEventListener('click', togglePauseTraining);
+    }
+
+    const cancelTrainingBtn = document.getElementById('cancelTrainingBtn');
+    if (cancelTrainingBtn) {
+      cancelTrainingBtn.addEventListener('click', cancelTraining);
+    }
+
+    initDatasetDropzone();
+    initSettingsPanel();
+
+    // Everything above works without the worker, so start it last
+    if (!(await startModelWorker())) return;
+
+    // Load MNIST data in background
+    await loadDataset();
+
   } catch (error) {
     console.error('❌ Initialization error:', error);
     updateModelStatus('Error');
-    showToast('Initialization Error', 'Failed to load data', 'error');
+    showToast('Initialization Error', error.message, 'error');
   }
 }
 
 async function startTraining() {
+  if (!APP_STATE.isDataReady) {
+    showToast('Dataset Not Loaded', 'Wait for the download or drop local dataset files', 'error');
+    return;
+  }
+
+  if (APP_STATE.isBenchmarking) {
+    showToast('Benchmark Running', 'Wait for the backend benchmark to finish', 'warning');
+    return;
+  }
+
+  if (APP_STATE.isFineTuning) {
+    showToast('Fine-Tuning Running', 'Wait for fine-tuning to finish', 'warning');
+    return;
+  }
+
+  if (!applySettings()) {
+    return;
+  }
+
   try {
     // Disable start button
     const startBtn = document.getElementById('startTrainingBtn');
@@ -760,22 +3779,22 @@ async function startTraining() {
 
     updateModelStatus('Creating model...');
 
-    // Create model
-    APP_STATE.model = createModel();
-
-    // Show model summary
+    // The worker builds and compiles its own copy; this uncompiled one has no
+    // optimizer and only feeds the summary view
+    const summaryModel = buildModel(CONFIG.model.architecture, CONFIG.model);
     tfvis.show.modelSummary({
       name: 'Model Architecture',
       tab: 'Model'
-    }, APP_STATE.model);
+    }, summaryModel);
+    summaryModel.dispose();
 
     updateModelStatus('Training model...');
 
     // Train model
-    await trainModel(APP_STATE.model, APP_STATE.data);
+    const { model, history } = await trainModel();
 
-    // Initialize canvas
-    initCanvas();
+    // Persist the trained model so later visits can skip training
+    await saveTrainedModel(model, history);
 
     console.log('✅ Application ready');
 
@@ -804,6 +3823,9 @@ async function startTraining() {
 
 // Clean up resources on page unload
 window.addEventListener('beforeunload', () => {
+  if (APP_STATE.worker) {
+    APP_STATE.worker.terminate();
+  }
   if (APP_STATE.model) {
     APP_STATE.model.dispose();
   }
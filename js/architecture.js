@@ -0,0 +1,228 @@
+/**
+ * Model Architectures
+ * Layer types, presets, validation and JSON serialisation for the architecture
+ * builder. An architecture is plain data: {layers: [{type, ...}]}.
+ * js/model.js turns it into a tfjs model; Flatten and the softmax output layer
+ * are added there automatically.
+ */
+
+const ACTIVATIONS = ['relu', 'elu', 'tanh', 'sigmoid', 'linear'];
+
+/**
+ * Editable layer types. Each field is either numeric (min/max, optionally
+ * integer) or a choice between options.
+ */
+export const LAYER_TYPES = {
+  conv: {
+    label: 'Conv2D',
+    defaults: { filters: 32, kernelSize: 3, activation: 'relu', padding: 'valid' },
+    fields: {
+      filters: { label: 'Filters', min: 1, max: 512, integer: true },
+      kernelSize: { label: 'Kernel', min: 1, max: 9, integer: true },
+      activation: { label: 'Activation', options: ACTIVATIONS },
+      padding: { label: 'Padding', options: ['valid', 'same'] },
+    },
+  },
+  pool: {
+    label: 'Pooling',
+    defaults: { poolSize: 2, mode: 'max' },
+    fields: {
+      poolSize: { label: 'Size', min: 2, max: 4, integer: true },
+      mode: { label: 'Mode', options: ['max', 'average'] },
+    },
+  },
+  dense: {
+    label: 'Dense',
+    defaults: { units: 128, activation: 'relu' },
+    fields: {
+      units: { label: 'Units', min: 1, max: 2048, integer: true },
+      activation: { label: 'Activation', options: ACTIVATIONS },
+    },
+  },
+  dropout: {
+    label: 'Dropout',
+    defaults: { rate: 0.3 },
+    fields: {
+      rate: { label: 'Rate', min: 0, max: 0.95 },
+    },
+  },
+  batchNorm: {
+    label: 'Batch Norm',
+    defaults: {},
+    fields: {},
+  },
+};
+
+// Layer types that need image-shaped (height × width × channels) input
+const SPATIAL_TYPES = ['conv', 'pool'];
+
+const MAX_LAYERS = 30;
+
+const conv = (filters, kernelSize = 3, activation = 'relu', padding = 'valid') => ({
+  type: 'conv', filters, kernelSize, activation, padding,
+});
+const pool = (mode = 'max') => ({ type: 'pool', poolSize: 2, mode });
+const dense = (units, activation = 'relu') => ({ type: 'dense', units, activation });
+const dropout = rate => ({ type: 'dropout', rate });
+const batchNorm = () => ({ type: 'batchNorm' });
+
+export const ARCHITECTURE_PRESETS = {
+  cnn: {
+    label: 'CNN (3 conv layers)',
+    layers: [
+      conv(32), pool(),
+      conv(64), pool(),
+      conv(128),
+      dropout(0.3), dense(256),
+      dropout(0.4), dense(128),
+      dropout(0.4), dense(64),
+    ],
+  },
+  cnnBatchNorm: {
+    label: 'CNN with batch norm',
+    layers: [
+      conv(32), batchNorm(), pool(),
+      conv(64), batchNorm(), pool(),
+      conv(128), batchNorm(),
+      dense(256), batchNorm(), dropout(0.3),
+      dense(128), dropout(0.3),
+    ],
+  },
+  lenet5: {
+    label: 'LeNet-5',
+    layers: [
+      conv(6, 5, 'tanh', 'same'), pool('average'),
+      conv(16, 5, 'tanh'), pool('average'),
+      dense(120, 'tanh'),
+      dense(84, 'tanh'),
+    ],
+  },
+  mlp: {
+    label: 'Simple MLP',
+    layers: [
+      dense(512), dropout(0.2),
+      dense(256), dropout(0.2),
+    ],
+  },
+};
+
+export const DEFAULT_PRESET = 'cnn';
+
+/**
+ * Deep copy of a preset's architecture
+ */
+export function presetArchitecture(name) {
+  const preset = ARCHITECTURE_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown architecture preset "${name}"`);
+  }
+  return cloneArchitecture(preset);
+}
+
+export function cloneArchitecture(architecture) {
+  return { layers: architecture.layers.map(layer => ({ ...layer })) };
+}
+
+/**
+ * Name of the preset with exactly these layers, or null for a custom one
+ */
+export function findPreset(architecture) {
+  const layers = JSON.stringify(architecture.layers);
+  return Object.keys(ARCHITECTURE_PRESETS)
+    .find(name => JSON.stringify(ARCHITECTURE_PRESETS[name].layers) === layers) || null;
+}
+
+/**
+ * New layer of the given type with default settings
+ */
+export function createLayer(type) {
+  return { type, ...LAYER_TYPES[type].defaults };
+}
+
+/**
+ * Copy of a layer with only its type's fields, in their usual order, and
+ * defaults for the missing ones; unknown types are left for validation
+ */
+function normalizeLayer(layer) {
+  const definition = LAYER_TYPES[layer?.type];
+  if (!definition) return layer;
+
+  const normalized = { type: layer.type };
+  Object.keys(definition.fields).forEach((key) => {
+    normalized[key] = layer[key] ?? definition.defaults[key];
+  });
+  return normalized;
+}
+
+/**
+ * Check an architecture's structure and layer settings. Shape problems (e.g.
+ * a kernel larger than its input) only show up when the model is built.
+ * @returns {string[]} Human-readable problems, empty when valid
+ */
+export function validateArchitecture(architecture) {
+  if (!architecture || !Array.isArray(architecture.layers)) {
+    return ['Architecture must have a list of layers'];
+  }
+
+  const errors = [];
+  const { layers } = architecture;
+
+  if (layers.length > MAX_LAYERS) {
+    errors.push(`Architecture can have at most ${MAX_LAYERS} layers`);
+  }
+
+  let denseSeen = false;
+  layers.forEach((layer, i) => {
+    const definition = LAYER_TYPES[layer?.type];
+    if (!definition) {
+      errors.push(`Layer ${i + 1} has unknown type "${layer?.type}"`);
+      return;
+    }
+
+    Object.entries(definition.fields).forEach(([key, field]) => {
+      const value = layer[key];
+      if (field.options) {
+        if (!field.options.includes(value)) {
+          errors.push(`Layer ${i + 1} (${definition.label}) ${field.label.toLowerCase()} must be one of: ${field.options.join(', ')}`);
+        }
+      } else if (!(value >= field.min && value <= field.max) || (field.integer && !Number.isInteger(value))) {
+        const kind = field.integer ? 'a whole number' : 'a number';
+        errors.push(`Layer ${i + 1} (${definition.label}) ${field.label.toLowerCase()} must be ${kind} between ${field.min} and ${field.max}`);
+      }
+    });
+
+    if (SPATIAL_TYPES.includes(layer.type) && denseSeen) {
+      errors.push(`Layer ${i + 1} (${definition.label}) must come before the first Dense layer`);
+    }
+    denseSeen = denseSeen || layer.type === 'dense';
+  });
+
+  return errors;
+}
+
+export function architectureToJson(architecture) {
+  return JSON.stringify(architecture, null, 2);
+}
+
+/**
+ * Parse and validate architecture JSON, filling in defaults for missing fields
+ * @throws {Error} When the JSON is malformed or the architecture invalid
+ */
+export function architectureFromJson(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Architecture is not valid JSON: ${error.message}`);
+  }
+
+  const architecture = {
+    layers: Array.isArray(parsed?.layers) ? parsed.layers.map(normalizeLayer) : parsed?.layers,
+  };
+
+  const errors = validateArchitecture(architecture);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  return architecture;
+}
@@ -0,0 +1,176 @@
+/**
+ * Data Augmentation
+ * Random geometric and stroke transforms for 28x28 training images, so the
+ * model sees digits closer to what users draw on the canvas
+ */
+
+const IMAGE_SIDE = 28;
+const IMAGE_SIZE = IMAGE_SIDE * IMAGE_SIDE;
+const CENTER = (IMAGE_SIDE - 1) / 2;
+
+// Control points per side of the coarse elastic displacement grid
+const ELASTIC_GRID = 4;
+
+// Upper bounds for each strength setting
+export const AUGMENTATION_LIMITS = {
+  rotation: 45,
+  translation: 6,
+  scale: 0.3,
+  elastic: 4,
+  stroke: 2,
+};
+
+/**
+ * Uniform random number in [-amount, amount]
+ */
+function jitter(random, amount) {
+  return (random() * 2 - 1) * amount;
+}
+
+/**
+ * Draw random transform parameters for one image
+ */
+function randomWarp(options, random) {
+  const warp = {
+    angle: jitter(random, options.rotation) * Math.PI / 180,
+    scale: 1 + jitter(random, options.scale),
+    tx: jitter(random, options.translation),
+    ty: jitter(random, options.translation),
+    fieldX: null,
+    fieldY: null,
+  };
+
+  if (options.elastic > 0) {
+    const points = ELASTIC_GRID * ELASTIC_GRID;
+    warp.fieldX = Float32Array.from({ length: points }, () => jitter(random, options.elastic));
+    warp.fieldY = Float32Array.from({ length: points }, () => jitter(random, options.elastic));
+  }
+
+  return warp;
+}
+
+/**
+ * Bilinearly interpolate the coarse elastic grid at pixel (x, y)
+ */
+function sampleField(field, x, y) {
+  const cell = (IMAGE_SIDE - 1) / (ELASTIC_GRID - 1);
+  const gx = Math.min(x / cell, ELASTIC_GRID - 1.0001);
+  const gy = Math.min(y / cell, ELASTIC_GRID - 1.0001);
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const fx = gx - x0;
+  const fy = gy - y0;
+  const at = (col, row) => field[row * ELASTIC_GRID + col];
+
+  return (
+    at(x0, y0) * (1 - fx) * (1 - fy) +
+    at(x0 + 1, y0) * fx * (1 - fy) +
+    at(x0, y0 + 1) * (1 - fx) * fy +
+    at(x0 + 1, y0 + 1) * fx * fy
+  );
+}
+
+/**
+ * Bilinearly sample an image at fractional coordinates, zero outside
+ */
+function samplePixel(src, x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const at = (col, row) => (
+    col < 0 || row < 0 || col >= IMAGE_SIDE || row >= IMAGE_SIDE ? 0 : src[row * IMAGE_SIDE + col]
+  );
+
+  return (
+    at(x0, y0) * (1 - fx) * (1 - fy) +
+    at(x0 + 1, y0) * fx * (1 - fy) +
+    at(x0, y0 + 1) * (1 - fx) * fy +
+    at(x0 + 1, y0 + 1) * fx * fy
+  );
+}
+
+/**
+ * Render src into dst through the inverse of the warp
+ */
+function warpImage(src, dst, warp) {
+  const cos = Math.cos(-warp.angle);
+  const sin = Math.sin(-warp.angle);
+
+  for (let y = 0; y < IMAGE_SIDE; y++) {
+    for (let x = 0; x < IMAGE_SIDE; x++) {
+      // Undo translation and scale, then rotate back around the centre
+      const px = (x - CENTER - warp.tx) / warp.scale;
+      const py = (y - CENTER - warp.ty) / warp.scale;
+      let sx = px * cos - py * sin + CENTER;
+      let sy = px * sin + py * cos + CENTER;
+
+      if (warp.fieldX) {
+        sx += sampleField(warp.fieldX, x, y);
+        sy += sampleField(warp.fieldY, x, y);
+      }
+
+      dst[y * IMAGE_SIDE + x] = samplePixel(src, sx, sy);
+    }
+  }
+}
+
+/**
+ * Thicken (radius > 0) or thin (radius < 0) strokes with a 3x3 cross
+ * grayscale dilation/erosion, applied |radius| times
+ */
+function adjustStroke(image, scratch, radius) {
+  const pick = radius > 0 ? Math.max : Math.min;
+
+  for (let step = 0; step < Math.abs(radius); step++) {
+    scratch.set(image);
+
+    for (let y = 0; y < IMAGE_SIDE; y++) {
+      for (let x = 0; x < IMAGE_SIDE; x++) {
+        const i = y * IMAGE_SIDE + x;
+        let value = scratch[i];
+        if (x > 0) value = pick(value, scratch[i - 1]);
+        if (x < IMAGE_SIDE - 1) value = pick(value, scratch[i + 1]);
+        if (y > 0) value = pick(value, scratch[i - IMAGE_SIDE]);
+        if (y < IMAGE_SIDE - 1) value = pick(value, scratch[i + IMAGE_SIDE]);
+        image[i] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Check whether any transform has a non-zero strength
+ */
+export function isAugmentationActive(options) {
+  return Boolean(options && options.enabled) &&
+    Object.keys(AUGMENTATION_LIMITS).some(key => options[key] > 0);
+}
+
+/**
+ * Apply random augmentation to a batch of flattened 28x28 images
+ * @param {Float32Array} images count * 784 pixel values in [0, 1]
+ * @param {object} options Strengths: rotation (degrees), translation (px),
+ *     scale (fraction), elastic (px), stroke (max dilation/erosion steps)
+ * @param {function(): number} [random] Source of uniform [0, 1) numbers
+ * @returns {Float32Array} Augmented copy of the images
+ */
+export function augmentImages(images, options, random = Math.random) {
+  const count = images.length / IMAGE_SIZE;
+  const output = new Float32Array(images.length);
+  const scratch = new Float32Array(IMAGE_SIZE);
+
+  for (let n = 0; n < count; n++) {
+    const src = images.subarray(n * IMAGE_SIZE, (n + 1) * IMAGE_SIZE);
+    const dst = output.subarray(n * IMAGE_SIZE, (n + 1) * IMAGE_SIZE);
+
+    warpImage(src, dst, randomWarp(options, random));
+
+    if (options.stroke > 0) {
+      const radius = Math.round(jitter(random, options.stroke));
+      adjustStroke(dst, scratch, radius);
+    }
+  }
+
+  return output;
+}
@@ -0,0 +1,127 @@
+/**
+ * MNIST Data Sources
+ * Pluggable providers for the raw image and label files used by MnistData.
+ * Files may be a PNG sprite with one-hot labels or IDX files (optionally
+ * gzipped); MnistData detects the format from the file contents.
+ */
+
+const CACHE_NAME = 'digitnet-mnist-v1';
+
+/**
+ * Fetches the dataset files over HTTP(S).
+ * Responses are kept in Cache Storage (when available) so the
+ * dataset is only downloaded once per browser.
+ */
+export class UrlDataSource {
+  /**
+   * @param {string} imagesUrl Training (or combined) images file
+   * @param {string} labelsUrl Training (or combined) labels file
+   * @param {object} [options]
+   * @param {boolean} [options.useCache=true] Keep downloads in Cache Storage
+   * @param {string} [options.testImagesUrl] Separate test images file
+   * @param {string} [options.testLabelsUrl] Separate test labels file
+   */
+  constructor(imagesUrl, labelsUrl, { useCache = true, testImagesUrl = null, testLabelsUrl = null } = {}) {
+    this.urls = {
+      train: { images: imagesUrl, labels: labelsUrl },
+      test: { images: testImagesUrl, labels: testLabelsUrl },
+    };
+    this.useCache = useCache && typeof caches !== 'undefined';
+    this.hasTestSplit = Boolean(testImagesUrl && testLabelsUrl);
+    this.name = imagesUrl;
+  }
+
+  /**
+   * Get an images file as a Blob
+   */
+  async fetchImages(split = 'train') {
+    return this.fetchBlob(this.urls[split].images);
+  }
+
+  /**
+   * Get a labels file as a Blob
+   */
+  async fetchLabels(split = 'train') {
+    return this.fetchBlob(this.urls[split].labels);
+  }
+
+  /**
+   * Fetch a URL, serving it from Cache Storage when possible
+   */
+  async fetchBlob(url) {
+    const cache = this.useCache ? await caches.open(CACHE_NAME) : null;
+
+    if (cache) {
+      const cached = await cache.match(url);
+      if (cached) {
+        console.log(`📦 Using cached copy of ${url}`);
+        return cached.blob();
+      }
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    if (cache) {
+      try {
+        await cache.put(url, response.clone());
+      } catch (error) {
+        // A full quota should not stop the dataset from loading
+        console.warn('⚠️ Could not cache dataset file:', error.message);
+      }
+    }
+
+    return response.blob();
+  }
+
+  /**
+   * Remove every cached dataset file
+   */
+  static async clearCache() {
+    if (typeof caches !== 'undefined') {
+      await caches.delete(CACHE_NAME);
+    }
+  }
+}
+
+/**
+ * Reads the dataset files from user-provided File/Blob objects,
+ * e.g. from drag-and-drop or a file picker.
+ */
+export class FileDataSource {
+  /**
+   * @param {Blob} imagesFile Training (or combined) images file
+   * @param {Blob} labelsFile Training (or combined) labels file
+   * @param {object} [options]
+   * @param {Blob} [options.testImagesFile] Separate test images file
+   * @param {Blob} [options.testLabelsFile] Separate test labels file
+   */
+  constructor(imagesFile, labelsFile, { testImagesFile = null, testLabelsFile = null } = {}) {
+    if (!imagesFile || !labelsFile) {
+      throw new Error('Both an images file and a labels file are required');
+    }
+
+    this.files = {
+      train: { images: imagesFile, labels: labelsFile },
+      test: { images: testImagesFile, labels: testLabelsFile },
+    };
+    this.hasTestSplit = Boolean(testImagesFile && testLabelsFile);
+    this.name = imagesFile.name || 'local files';
+  }
+
+  /**
+   * Get an images file as a Blob
+   */
+  async fetchImages(split = 'train') {
+    return this.files[split].images;
+  }
+
+  /**
+   * Get a labels file as a Blob
+   */
+  async fetchLabels(split = 'train') {
+    return this.files[split].labels;
+  }
+}
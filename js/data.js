@@ -4,18 +4,31 @@
  * @license Apache-2.0
  */
 
+import { UrlDataSource } from './data-sources.js';
+import {
+  IDX_LABELS_MAGIC,
+  isIdx,
+  isPng,
+  parseIdxImages,
+  parseIdxLabels,
+  readBytes,
+} from './idx.js';
+import { decodePng } from './png.js';
+import { createRandom, deriveSeed, shuffle, shuffledIndices } from './random.js';
+
 const IMAGE_SIZE = 784;
+const IMAGE_SIDE = 28;
 const NUM_CLASSES = 10;
-const NUM_DATASET_ELEMENTS = 65000;
+// Used when the source has no separate test files
 const TRAIN_TEST_RATIO = 5 / 6;
 
-const NUM_TRAIN_ELEMENTS = Math.floor(TRAIN_TEST_RATIO * NUM_DATASET_ELEMENTS);
-const NUM_TEST_ELEMENTS = NUM_DATASET_ELEMENTS - NUM_TRAIN_ELEMENTS;
-
-const MNIST_IMAGES_SPRITE_PATH =
-  'https://storage.googleapis.com/learnjs-data/model-builder/mnist_images.png';
-const MNIST_LABELS_PATH =
-  'https://storage.googleapis.com/learnjs-data/model-builder/mnist_labels_uint8';
+// Build-time overrides (see webpack.common.js) for self-hosted datasets
+const MNIST_IMAGES_SPRITE_PATH = typeof __MNIST_IMAGES_URL__ !== 'undefined' && __MNIST_IMAGES_URL__
+  ? __MNIST_IMAGES_URL__
+  : 'https://storage.googleapis.com/learnjs-data/model-builder/mnist_images.png';
+const MNIST_LABELS_PATH = typeof __MNIST_LABELS_URL__ !== 'undefined' && __MNIST_LABELS_URL__
+  ? __MNIST_LABELS_URL__
+  : 'https://storage.googleapis.com/learnjs-data/model-builder/mnist_labels_uint8';
 
 // Retry configuration
 const MAX_RETRIES = 3;
@@ -26,17 +39,26 @@ const RETRY_DELAY = 1000;
  * with enhanced error handling and validation
  */
 export class MnistData {
-  constructor() {
+  /**
+   * @param {object} [source] Provider of the images and labels files,
+   *     defaults to the configured sprite and labels URLs
+   */
+  constructor(source = new UrlDataSource(MNIST_IMAGES_SPRITE_PATH, MNIST_LABELS_PATH)) {
+    this.source = source;
     this.shuffledTrainIndex = 0;
     this.shuffledTestIndex = 0;
     this.datasetImages = null;
     this.datasetLabels = null;
+    this.numTrainElements = 0;
+    this.numTestElements = 0;
     this. trainIndices = null;
     this. testIndices = null;
     this.trainImages = null;
     this.testImages = null;
     this. trainLabels = null;
     this.testLabels = null;
+    // Source for shuffling, replaced by setSeed()
+    this.random = Math.random;
   }
 
   /**
@@ -44,33 +66,46 @@ export class MnistData {
    */
   async load() {
     try {
-      console.log('📥 Loading MNIST dataset...');
+      console.log(`📥 Loading MNIST dataset from ${this.source.name}...`);
 
-      // Load images and labels in parallel
-      const [imageData, labelData] = await Promise.all([
+      // Load images and labels (and separate test files, if any) in parallel
+      const [imageData, labelData, testImageData, testLabelData] = await Promise.all([
         this.loadImagesWithRetry(),
-        this.loadLabelsWithRetry()
+        this.loadLabelsWithRetry(),
+        this.source.hasTestSplit ? this.loadImagesWithRetry(MAX_RETRIES, 'test') : null,
+        this.source.hasTestSplit ? this.loadLabelsWithRetry(MAX_RETRIES, 'test') : null,
       ]);
 
-      this.datasetImages = imageData;
-      this.datasetLabels = labelData;
+      // The train/test boundary comes from the train files, so they must agree
+      if (testImageData && imageData.length / IMAGE_SIZE !== labelData.length / NUM_CLASSES) {
+        throw new Error('Training images and labels have different sample counts');
+      }
+
+      this.datasetImages = testImageData ? concat(imageData, testImageData) : imageData;
+      this.datasetLabels = testLabelData ? concat(labelData, testLabelData) : labelData;
 
       // Validate data
       this.validateData();
 
+      const numDatasetElements = this.datasetImages.length / IMAGE_SIZE;
+      this.numTrainElements = testImageData
+        ? imageData.length / IMAGE_SIZE
+        : Math.floor(TRAIN_TEST_RATIO * numDatasetElements);
+      this.numTestElements = numDatasetElements - this.numTrainElements;
+
       // Create shuffled indices
-      this.trainIndices = tf.util.createShuffledIndices(NUM_TRAIN_ELEMENTS);
-      this.testIndices = tf.util.createShuffledIndices(NUM_TEST_ELEMENTS);
+      this.trainIndices = shuffledIndices(this.numTrainElements, this.random);
+      this.testIndices = shuffledIndices(this.numTestElements, this.random);
 
       // Split into train and test sets
-      this. trainImages = this.datasetImages.slice(0, IMAGE_SIZE * NUM_TRAIN_ELEMENTS);
-      this.testImages = this.datasetImages. slice(IMAGE_SIZE * NUM_TRAIN_ELEMENTS);
-      this.trainLabels = this.datasetLabels.slice(0, NUM_CLASSES * NUM_TRAIN_ELEMENTS);
-      this.testLabels = this.datasetLabels.slice(NUM_CLASSES * NUM_TRAIN_ELEMENTS);
+      this.trainImages = this.datasetImages.slice(0, IMAGE_SIZE * this.numTrainElements);
+      this.testImages = this.datasetImages.slice(IMAGE_SIZE * this.numTrainElements);
+      this.trainLabels = this.datasetLabels.slice(0, NUM_CLASSES * this.numTrainElements);
+      this.testLabels = this.datasetLabels.slice(NUM_CLASSES * this.numTrainElements);
 
       console.log('✅ MNIST dataset loaded successfully');
-      console.log(`   Training samples: ${NUM_TRAIN_ELEMENTS}`);
-      console.log(`   Test samples: ${NUM_TEST_ELEMENTS}`);
+      console.log(`   Training samples: ${this.numTrainElements}`);
+      console.log(`   Test samples: ${this.numTestElements}`);
 
     } catch (error) {
       console.error('❌ Error loading MNIST dataset:', error);
@@ -78,13 +113,30 @@ export class MnistData {
     }
   }
 
+  /**
+   * Make the sample order repeatable: re-shuffle both splits from the seed
+   * and start the batches over. Every later shuffle (each trainDataset()
+   * epoch) also comes from the seed.
+   * @param {?number} seed null goes back to Math.random
+   */
+  setSeed(seed) {
+    this.random = seed === null ? Math.random : createRandom(deriveSeed(seed, 'data'));
+
+    if (this.trainIndices) {
+      this.trainIndices = shuffledIndices(this.numTrainElements, this.random);
+      this.testIndices = shuffledIndices(this.numTestElements, this.random);
+      this.shuffledTrainIndex = 0;
+      this.shuffledTestIndex = 0;
+    }
+  }
+
   /**
    * Load MNIST images with retry logic
    */
-  async loadImagesWithRetry(retries = MAX_RETRIES) {
+  async loadImagesWithRetry(retries = MAX_RETRIES, split = 'train') {
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
-        return await this.loadImages();
+        return await this.loadImages(split);
       } catch (error) {
         console.warn(`⚠️ Image load attempt ${attempt} failed:`, error.message);
 
@@ -101,10 +153,10 @@ export class MnistData {
   /**
    * Load MNIST labels with retry logic
    */
-  async loadLabelsWithRetry(retries = MAX_RETRIES) {
+  async loadLabelsWithRetry(retries = MAX_RETRIES, split = 'train') {
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
-        return await this.loadLabels();
+        return await this.loadLabels(split);
       } catch (error) {
         console.warn(`⚠️ Labels load attempt ${attempt} failed:`, error.message);
 
@@ -119,96 +171,123 @@ export class MnistData {
   }
 
   /**
-   * Load MNIST images sprite
+   * Load MNIST images from a PNG sprite or an IDX file
    */
-  async loadImages() {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      const canvas = document. createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      img.crossOrigin = 'anonymous';
-
-      img.onload = () => {
-        try {
-          img.width = img.naturalWidth;
-          img.height = img.naturalHeight;
-
-          const datasetBytesBuffer = new ArrayBuffer(NUM_DATASET_ELEMENTS * IMAGE_SIZE * 4);
-          const chunkSize = 5000;
-
-          canvas.width = img.width;
-          canvas.height = chunkSize;
-
-          for (let i = 0; i < NUM_DATASET_ELEMENTS / chunkSize; i++) {
-            const datasetBytesView = new Float32Array(
-              datasetBytesBuffer,
-              i * IMAGE_SIZE * chunkSize * 4,
-              IMAGE_SIZE * chunkSize
-            );
-
-            ctx.drawImage(
-              img,
-              0,
-              i * chunkSize,
-              img.width,
-              chunkSize,
-              0,
-              0,
-              img.width,
-              chunkSize
-            );
-
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-            for (let j = 0; j < imageData.data. length / 4; j++) {
-              // All channels hold an equal value since the image is grayscale
-              // Just read the red channel
-              datasetBytesView[j] = imageData.data[j * 4] / 255;
-            }
-          }
-
-          const datasetImages = new Float32Array(datasetBytesBuffer);
-          resolve(datasetImages);
-
-        } catch (error) {
-          reject(new Error(`Failed to process images: ${error.message}`));
+  async loadImages(split = 'train') {
+    const blob = await this.source.fetchImages(split);
+    const bytes = await readBytes(blob);
+
+    if (isPng(bytes)) {
+      return typeof createImageBitmap === 'function'
+        ? this.decodeSprite(blob)
+        : this.decodeSpriteBytes(bytes);
+    }
+
+    const { images, rows, cols } = parseIdxImages(bytes);
+    if (rows !== IMAGE_SIDE || cols !== IMAGE_SIDE) {
+      throw new Error(`Expected ${IMAGE_SIDE}x${IMAGE_SIDE} images, got ${rows}x${cols}`);
+    }
+
+    return images;
+  }
+
+  /**
+   * Decode a PNG sprite blob into normalized pixel values.
+   * Uses createImageBitmap and OffscreenCanvas so it also runs in the model worker.
+   */
+  async decodeSprite(blob) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(blob);
+    } catch (error) {
+      throw new Error('Failed to decode MNIST images sprite');
+    }
+
+    try {
+      // Each sprite row holds one flattened image
+      if (bitmap.width !== IMAGE_SIZE) {
+        throw new Error(`Expected a sprite ${IMAGE_SIZE}px wide, got ${bitmap.width}px`);
+      }
+
+      const numElements = bitmap.height;
+      const datasetBytesBuffer = new ArrayBuffer(numElements * IMAGE_SIZE * 4);
+      const chunkSize = 5000;
+
+      const canvas = new OffscreenCanvas(bitmap.width, chunkSize);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+      for (let i = 0; i < Math.ceil(numElements / chunkSize); i++) {
+        const rows = Math.min(chunkSize, numElements - i * chunkSize);
+        const datasetBytesView = new Float32Array(
+          datasetBytesBuffer,
+          i * IMAGE_SIZE * chunkSize * 4,
+          IMAGE_SIZE * rows
+        );
+
+        ctx.drawImage(
+          bitmap,
+          0,
+          i * chunkSize,
+          bitmap.width,
+          rows,
+          0,
+          0,
+          bitmap.width,
+          rows
+        );
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, rows);
+
+        for (let j = 0; j < imageData.data.length / 4; j++) {
+          // All channels hold an equal value since the image is grayscale
+          // Just read the red channel
+          datasetBytesView[j] = imageData.data[j * 4] / 255;
         }
-      };
-
-      img.onerror = () => {
-        reject(new Error('Failed to load MNIST images sprite'));
-      };
-
-      // Add timeout
-      const timeout = setTimeout(() => {
-        reject(new Error('Image load timeout'));
-      }, 30000);
-
-      img.onload = ((originalOnload) => {
-        return function() {
-          clearTimeout(timeout);
-          originalOnload.apply(this, arguments);
-        };
-      })(img.onload);
-
-      img.src = MNIST_IMAGES_SPRITE_PATH;
-    });
+      }
+
+      return new Float32Array(datasetBytesBuffer);
+
+    } catch (error) {
+      throw new Error(`Failed to process images: ${error.message}`);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Decode a PNG sprite without canvas APIs, e.g. in Node.js
+   */
+  async decodeSpriteBytes(bytes) {
+    const { width, height, channels, pixels } = await decodePng(bytes);
+
+    // Each sprite row holds one flattened image
+    if (width !== IMAGE_SIZE) {
+      throw new Error(`Expected a sprite ${IMAGE_SIZE}px wide, got ${width}px`);
+    }
+
+    // Grayscale, so the first channel is enough
+    const images = new Float32Array(width * height);
+    for (let i = 0; i < images.length; i++) {
+      images[i] = pixels[i * channels] / 255;
+    }
+
+    return images;
   }
 
   /**
    * Load MNIST labels
    */
-  async loadLabels() {
+  async loadLabels(split = 'train') {
     try {
-      const response = await fetch(MNIST_LABELS_PATH);
+      const blob = await this.source.fetchLabels(split);
+      const bytes = await readBytes(blob);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      // IDX labels hold class indices, the sprite format is already one-hot
+      if (isIdx(bytes, IDX_LABELS_MAGIC)) {
+        return parseIdxLabels(bytes, NUM_CLASSES).labels;
       }
 
-      const labelsData = await response.arrayBuffer();
-      return new Uint8Array(labelsData);
+      return bytes;
 
     } catch (error) {
       throw new Error(`Failed to load MNIST labels: ${error.message}`);
@@ -227,14 +306,14 @@ export class MnistData {
       throw new Error('Dataset labels are empty or invalid');
     }
 
-    const expectedImageSize = NUM_DATASET_ELEMENTS * IMAGE_SIZE;
-    if (this.datasetImages.length !== expectedImageSize) {
+    if (this.datasetImages.length % IMAGE_SIZE !== 0) {
       throw new Error(
-        `Invalid image data size. Expected ${expectedImageSize}, got ${this.datasetImages. length}`
+        `Invalid image data size. Expected a multiple of ${IMAGE_SIZE}, got ${this.datasetImages.length}`
       );
     }
 
-    const expectedLabelSize = NUM_DATASET_ELEMENTS * NUM_CLASSES;
+    const numDatasetElements = this.datasetImages.length / IMAGE_SIZE;
+    const expectedLabelSize = numDatasetElements * NUM_CLASSES;
     if (this.datasetLabels.length !== expectedLabelSize) {
       throw new Error(
         `Invalid label data size. Expected ${expectedLabelSize}, got ${this.datasetLabels.length}`
@@ -272,10 +351,62 @@ export class MnistData {
     );
   }
 
+  /**
+   * Streaming dataset over the training split for model.fitDataset().
+   * Every epoch re-shuffles the training indices and yields
+   * {xs: [n, 784], ys: [n, 10]} batches until numSamples images were seen.
+   * @param {number} batchSize Images per batch
+   * @param {number} [numSamples] Images per epoch, defaults to the whole split
+   * @param {function(Float32Array): Float32Array} [transformImages] Optional
+   *     augmentation applied to each batch's pixels before they become tensors
+   */
+  trainDataset(batchSize, numSamples = this.numTrainElements, transformImages = null) {
+    return this.createEpochDataset(
+      batchSize,
+      Math.min(numSamples, this.numTrainElements),
+      [this.trainImages, this.trainLabels],
+      this.trainIndices,
+      transformImages
+    );
+  }
+
+  /**
+   * Streaming dataset over the test split, see trainDataset()
+   */
+  testDataset(batchSize, numSamples = this.numTestElements) {
+    return this.createEpochDataset(
+      batchSize,
+      Math.min(numSamples, this.numTestElements),
+      [this.testImages, this.testLabels],
+      this.testIndices
+    );
+  }
+
+  /**
+   * Build a tf.data generator that walks a freshly shuffled split once per iteration
+   */
+  createEpochDataset(batchSize, numSamples, data, indices, transformImages = null) {
+    const self = this;
+
+    // tf.data calls this again for every epoch, so each epoch gets a new order
+    function* epochBatches() {
+      shuffle(indices, self.random);
+
+      for (let start = 0; start < numSamples; start += batchSize) {
+        const size = Math.min(batchSize, numSamples - start);
+        let position = start;
+        const { xs, labels } = self.nextBatch(size, data, () => indices[position++], transformImages);
+        yield { xs, ys: labels };
+      }
+    }
+
+    return tf.data.generator(epochBatches);
+  }
+
   /**
    * Get next batch of data
    */
-  nextBatch(batchSize, data, index) {
+  nextBatch(batchSize, data, index, transformImages = null) {
     const batchImagesArray = new Float32Array(batchSize * IMAGE_SIZE);
     const batchLabelsArray = new Uint8Array(batchSize * NUM_CLASSES);
 
@@ -289,7 +420,8 @@ export class MnistData {
       batchLabelsArray.set(label, i * NUM_CLASSES);
     }
 
-    const xs = tf.tensor2d(batchImagesArray, [batchSize, IMAGE_SIZE]);
+    const pixels = transformImages ? transformImages(batchImagesArray) : batchImagesArray;
+    const xs = tf.tensor2d(pixels, [batchSize, IMAGE_SIZE]);
     const labels = tf.tensor2d(batchLabelsArray, [batchSize, NUM_CLASSES]);
 
     return { xs, labels };
@@ -302,3 +434,13 @@ export class MnistData {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
+
+/**
+ * Join two typed arrays of the same type
+ */
+function concat(first, second) {
+  const result = new first.constructor(first.length + second.length);
+  result.set(first);
+  result.set(second, first.length);
+  return result;
+}
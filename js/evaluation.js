@@ -0,0 +1,62 @@
+/**
+ * Model Evaluation
+ * Confusion matrix and per-class precision, recall and F1 computed from
+ * test-set predictions
+ */
+
+/**
+ * Count predictions per (true class, predicted class) pair
+ * @param {ArrayLike<number>} labels True class of every sample
+ * @param {ArrayLike<number>} predictions Predicted class of every sample
+ * @param {number} numClasses
+ * @returns {number[][]} matrix[trueClass][predictedClass]
+ */
+export function confusionMatrix(labels, predictions, numClasses) {
+  const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+
+  for (let i = 0; i < labels.length; i++) {
+    matrix[labels[i]][predictions[i]]++;
+  }
+
+  return matrix;
+}
+
+/**
+ * Per-class and overall metrics of a confusion matrix. Precision is 0 for a
+ * class that was never predicted, recall 0 for one with no samples.
+ * @returns {{classes: object[], accuracy: number, macro: object, total: number}}
+ *     classes holds precision, recall, f1 and support per class; macro the
+ *     unweighted means of precision, recall and f1
+ */
+export function classMetrics(matrix) {
+  const numClasses = matrix.length;
+  let correct = 0;
+  let total = 0;
+
+  const classes = matrix.map((row, actual) => {
+    const truePositives = row[actual];
+    const support = row.reduce((sum, count) => sum + count, 0);
+    const predicted = matrix.reduce((sum, otherRow) => sum + otherRow[actual], 0);
+
+    const precision = predicted > 0 ? truePositives / predicted : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    correct += truePositives;
+    total += support;
+    return { precision, recall, f1, support };
+  });
+
+  const mean = key => classes.reduce((sum, metrics) => sum + metrics[key], 0) / numClasses;
+
+  return {
+    classes,
+    accuracy: total > 0 ? correct / total : 0,
+    macro: {
+      precision: mean('precision'),
+      recall: mean('recall'),
+      f1: mean('f1'),
+    },
+    total,
+  };
+}
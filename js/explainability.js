@@ -0,0 +1,121 @@
+/**
+ * Explainability
+ * Saliency maps, Grad-CAM heatmaps and convolutional feature maps that show
+ * which parts of an input a prediction depends on. Works on the sequential
+ * models from js/model.js: conv layers are named conv1, conv2, ... and the
+ * last layer is the softmax "output" layer.
+ */
+
+const CONV_LAYER_NAME = /^conv\d+$/;
+
+/**
+ * Indices (into model.layers) of the named conv layers, in order
+ */
+export function convLayerIndices(model) {
+  return model.layers
+    .map((layer, index) => (CONV_LAYER_NAME.test(layer.name) ? index : -1))
+    .filter(index => index >= 0);
+}
+
+// Run model.layers[start, end) on x in inference mode
+function applyLayers(model, x, start, end) {
+  return model.layers.slice(start, end).reduce((activation, layer) => layer.apply(activation), x);
+}
+
+// Pre-softmax score of one class, computed from the activations entering the
+// output layer. Softmax saturates for confident predictions, which would make
+// the gradients of the probability itself vanish.
+function classScore(model, hidden, classIndex) {
+  const [kernel, bias] = model.layers[model.layers.length - 1].getWeights();
+  return hidden.matMul(kernel).add(bias).slice([0, classIndex], [1, 1]).sum();
+}
+
+// Scale non-negative values so the largest is 1
+function normalize(values) {
+  return values.div(values.max().add(1e-8));
+}
+
+/**
+ * Explain the model's score for one class on a single input
+ * @param {tf.LayersModel} model
+ * @param {Float32Array} pixels One input, values in [0, 1]
+ * @param {number} classIndex Class to explain, usually the predicted one
+ * @returns {Promise<object>} saliency (|d score / d pixel|), gradCam
+ *     (heatmap from the last conv layer, or null without conv layers) and
+ *     gradCamLayer, all maps scaled to [0, 1] with the input's height × width;
+ *     featureMaps holds {name, height, width, channels, values} per conv layer,
+ *     values in height × width × channels order
+ */
+export async function explainPrediction(model, pixels, classIndex) {
+  const [height, width, channels] = model.inputs[0].shape.slice(1);
+  const outputIndex = model.layers.length - 1;
+  const convIndices = convLayerIndices(model);
+  const lastConv = convIndices[convIndices.length - 1];
+
+  const tensors = tf.tidy(() => {
+    const input = tf.tensor4d(pixels, [1, height, width, channels]);
+
+    // Gradient of the class score with respect to every input pixel
+    const saliency = normalize(
+      tf.grad(x => classScore(model, applyLayers(model, x, 0, outputIndex), classIndex))(input)
+        .abs()
+        .max(-1)
+        .reshape([height, width])
+    );
+
+    // Activations of every conv layer, collected in one forward pass
+    const featureMaps = [];
+    let activation = input;
+    model.layers.slice(0, outputIndex).forEach((layer, index) => {
+      activation = layer.apply(activation);
+      if (convIndices.includes(index)) {
+        featureMaps.push(activation.squeeze([0]));
+      }
+    });
+
+    // Grad-CAM: weight the last conv layer's maps by their mean gradient
+    let gradCam = null;
+    if (lastConv !== undefined) {
+      const convOutput = applyLayers(model, input, 0, lastConv + 1);
+      const gradients = tf.grad(
+        maps => classScore(model, applyLayers(model, maps, lastConv + 1, outputIndex), classIndex)
+      )(convOutput);
+      const weights = gradients.mean([0, 1, 2]);
+      const heatmap = convOutput.squeeze([0]).mul(weights).sum(-1).relu();
+
+      gradCam = normalize(
+        tf.image.resizeBilinear(heatmap.expandDims(0).expandDims(-1), [height, width])
+          .reshape([height, width])
+      );
+    }
+
+    return { saliency, gradCam, featureMaps };
+  });
+
+  try {
+    const [saliency, gradCam, ...featureValues] = await Promise.all([
+      tensors.saliency.data(),
+      tensors.gradCam ? tensors.gradCam.data() : null,
+      ...tensors.featureMaps.map(maps => maps.data()),
+    ]);
+
+    return {
+      classIndex,
+      saliency,
+      gradCam,
+      gradCamLayer: lastConv === undefined ? null : model.layers[lastConv].name,
+      featureMaps: tensors.featureMaps.map((maps, i) => {
+        const [mapHeight, mapWidth, mapChannels] = maps.shape;
+        return {
+          name: model.layers[convIndices[i]].name,
+          height: mapHeight,
+          width: mapWidth,
+          channels: mapChannels,
+          values: featureValues[i],
+        };
+      }),
+    };
+  } finally {
+    tf.dispose([tensors.saliency, tensors.gradCam, ...tensors.featureMaps].filter(Boolean));
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Training Hyperparameters
+ * Validation, persistence and optimizer construction for user-editable settings
+ */
+
+import { validateArchitecture } from './architecture.js';
+import { AUGMENTATION_LIMITS } from './augmentation.js';
+import { MAX_SEED } from './random.js';
+import { LR_SCHEDULES, MONITOR_METRICS } from './training-monitor.js';
+
+const STORAGE_KEY = 'digitnet-hyperparameters';
+
+// Keys of CONFIG.model that users may edit
+export const EDITABLE_KEYS = [
+  'epochs',
+  'batchSize',
+  'trainDataSize',
+  'testDataSize',
+  'optimizer',
+  'learningRate',
+  'monitor',
+  'earlyStopping',
+  'patience',
+  'restoreBestWeights',
+  'lrSchedule',
+  'lrFactor',
+  'lrPatience',
+  'lrStepSize',
+  'seed',
+  'augmentation',
+  'architecture',
+];
+
+const OPTIMIZERS = {
+  sgd: learningRate => tf.train.sgd(learningRate),
+  adam: learningRate => tf.train.adam(learningRate),
+  rmsprop: learningRate => tf.train.rmsprop(learningRate),
+};
+
+export const OPTIMIZER_NAMES = Object.keys(OPTIMIZERS);
+
+/**
+ * Build a tfjs optimizer by name
+ */
+export function createOptimizer(name, learningRate) {
+  const factory = OPTIMIZERS[name];
+  if (!factory) {
+    throw new Error(`Unknown optimizer "${name}". Choose one of: ${OPTIMIZER_NAMES.join(', ')}`);
+  }
+  return factory(learningRate);
+}
+
+/**
+ * Check hyperparameters against each other and the loaded dataset
+ * @param {object} params Candidate hyperparameters
+ * @param {{maxTrainSize: number, maxTestSize: number}} limits Dataset split sizes
+ * @returns {string[]} Human-readable problems, empty when valid
+ */
+export function validateHyperparameters(params, { maxTrainSize, maxTestSize }) {
+  const errors = [];
+  const isInt = value => Number.isInteger(value);
+
+  if (!isInt(params.epochs) || params.epochs < 1 || params.epochs > 200) {
+    errors.push('Epochs must be a whole number between 1 and 200');
+  }
+
+  // null means "the whole training split"
+  const trainSize = params.trainDataSize ?? maxTrainSize;
+  if (!isInt(trainSize) || trainSize < 1 || trainSize > maxTrainSize) {
+    errors.push(`Training samples must be between 1 and ${maxTrainSize}, or empty for all`);
+  }
+
+  if (!isInt(params.testDataSize) || params.testDataSize < 1 || params.testDataSize > maxTestSize) {
+    errors.push(`Test samples must be between 1 and ${maxTestSize}`);
+  }
+
+  if (!isInt(params.batchSize) || params.batchSize < 1) {
+    errors.push('Batch size must be a positive whole number');
+  } else if (isInt(trainSize) && params.batchSize > trainSize) {
+    errors.push('Batch size cannot exceed the number of training samples');
+  }
+
+  if (!OPTIMIZER_NAMES.includes(params.optimizer)) {
+    errors.push(`Optimizer must be one of: ${OPTIMIZER_NAMES.join(', ')}`);
+  }
+
+  if (!(params.learningRate > 0 && params.learningRate <= 1)) {
+    errors.push('Learning rate must be greater than 0 and at most 1');
+  }
+
+  if (!MONITOR_METRICS.includes(params.monitor)) {
+    errors.push(`Monitored metric must be one of: ${MONITOR_METRICS.join(', ')}`);
+  }
+
+  if (params.earlyStopping && (!isInt(params.patience) || params.patience < 1)) {
+    errors.push('Early stopping patience must be a positive whole number');
+  }
+
+  if (!LR_SCHEDULES.includes(params.lrSchedule)) {
+    errors.push(`Learning rate schedule must be one of: ${LR_SCHEDULES.join(', ')}`);
+  } else if (params.lrSchedule !== 'none') {
+    if (!(params.lrFactor > 0 && params.lrFactor < 1)) {
+      errors.push('Learning rate drop factor must be between 0 and 1 (exclusive)');
+    }
+    if (params.lrSchedule === 'plateau' && (!isInt(params.lrPatience) || params.lrPatience < 1)) {
+      errors.push('Plateau patience must be a positive whole number');
+    }
+    if (params.lrSchedule === 'step' && (!isInt(params.lrStepSize) || params.lrStepSize < 1)) {
+      errors.push('Step size must be a positive whole number of epochs');
+    }
+  }
+
+  // null means "a new random seed every run"
+  const seed = params.seed ?? null;
+  if (seed !== null && (!isInt(seed) || seed < 0 || seed > MAX_SEED)) {
+    errors.push(`Seed must be a whole number between 0 and ${MAX_SEED}, or empty for a random seed`);
+  }
+
+  const augmentation = params.augmentation || {};
+  Object.entries(AUGMENTATION_LIMITS).forEach(([key, max]) => {
+    if (!(augmentation[key] >= 0 && augmentation[key] <= max)) {
+      errors.push(`Augmentation ${key} must be between 0 and ${max}`);
+    }
+  });
+  if (augmentation.stroke >= 0 && !isInt(augmentation.stroke)) {
+    errors.push('Augmentation stroke must be a whole number of steps');
+  }
+
+  errors.push(...validateArchitecture(params.architecture));
+
+  return errors;
+}
+
+/**
+ * Read persisted hyperparameters merged over the given defaults
+ */
+export function loadHyperparameters(defaults) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const merged = { ...defaults };
+    EDITABLE_KEYS.forEach((key) => {
+      if (stored[key] !== undefined) {
+        merged[key] = stored[key];
+      }
+    });
+    return merged;
+  } catch (error) {
+    console.warn('⚠️ Stored hyperparameters are corrupt, using defaults:', error.message);
+    return { ...defaults };
+  }
+}
+
+/**
+ * Persist the editable subset of the hyperparameters
+ */
+export function saveHyperparameters(params) {
+  const subset = {};
+  EDITABLE_KEYS.forEach((key) => {
+    subset[key] = params[key];
+  });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(subset));
+}
+
+/**
+ * Forget persisted hyperparameters
+ */
+export function clearHyperparameters() {
+  localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,172 @@
+/**
+ * IDX Format Parser
+ * Reads the original MNIST-style IDX files (optionally gzip-compressed) and
+ * writes uncompressed ones
+ * http://yann.lecun.com/exdb/mnist/
+ */
+
+// Magic numbers: two zero bytes, 0x08 (unsigned byte data), number of dimensions
+export const IDX_IMAGES_MAGIC = 0x00000803;
+export const IDX_LABELS_MAGIC = 0x00000801;
+
+const GZIP_SIGNATURE = [0x1f, 0x8b];
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+
+/**
+ * Check whether a byte array starts with the given signature
+ */
+function startsWith(bytes, signature) {
+  return bytes.length >= signature.length &&
+    signature.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Check whether the bytes are gzip-compressed
+ */
+export function isGzip(bytes) {
+  return startsWith(bytes, GZIP_SIGNATURE);
+}
+
+/**
+ * Check whether the bytes are a PNG image
+ */
+export function isPng(bytes) {
+  return startsWith(bytes, PNG_SIGNATURE);
+}
+
+/**
+ * Check whether the bytes start with the given IDX magic number
+ */
+export function isIdx(bytes, magic) {
+  return bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0) === magic;
+}
+
+/**
+ * Decompress gzip data with the native DecompressionStream
+ */
+export async function gunzip(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Gzip-compressed files are not supported in this environment');
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  const buffer = await new Response(stream).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Read a Blob into bytes, decompressing it first when it is gzipped
+ */
+export async function readBytes(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return isGzip(bytes) ? gunzip(bytes) : bytes;
+}
+
+/**
+ * Parse an IDX header and validate it against the expected magic number
+ * @returns {{dims: number[], dataOffset: number}}
+ */
+function parseHeader(bytes, magic) {
+  if (!isIdx(bytes, magic)) {
+    const expected = magic.toString(16).padStart(8, '0');
+    throw new Error(`Invalid IDX magic number, expected 0x${expected}`);
+  }
+
+  const numDims = bytes[3];
+  const dataOffset = 4 + numDims * 4;
+  if (bytes.length < dataOffset) {
+    throw new Error('Truncated IDX header');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, dataOffset);
+  const dims = [];
+  for (let i = 0; i < numDims; i++) {
+    dims.push(view.getUint32(4 + i * 4));
+  }
+
+  const expectedLength = dataOffset + dims.reduce((total, dim) => total * dim, 1);
+  if (bytes.length !== expectedLength) {
+    throw new Error(
+      `IDX data size does not match its header. Expected ${expectedLength} bytes, got ${bytes.length}`
+    );
+  }
+
+  return { dims, dataOffset };
+}
+
+/**
+ * Parse an IDX3 images file into normalized pixel values
+ * @returns {{images: Float32Array, count: number, rows: number, cols: number}}
+ */
+export function parseIdxImages(bytes) {
+  const { dims, dataOffset } = parseHeader(bytes, IDX_IMAGES_MAGIC);
+  if (dims.length !== 3) {
+    throw new Error(`IDX images file must have 3 dimensions, got ${dims.length}`);
+  }
+
+  const [count, rows, cols] = dims;
+  const images = new Float32Array(count * rows * cols);
+  for (let i = 0; i < images.length; i++) {
+    images[i] = bytes[dataOffset + i] / 255;
+  }
+
+  return { images, count, rows, cols };
+}
+
+/**
+ * Parse an IDX1 labels file into one-hot encoded labels
+ * @returns {{labels: Uint8Array, count: number}}
+ */
+export function parseIdxLabels(bytes, numClasses) {
+  const { dims, dataOffset } = parseHeader(bytes, IDX_LABELS_MAGIC);
+  if (dims.length !== 1) {
+    throw new Error(`IDX labels file must have 1 dimension, got ${dims.length}`);
+  }
+
+  const [count] = dims;
+  const labels = new Uint8Array(count * numClasses);
+  for (let i = 0; i < count; i++) {
+    const label = bytes[dataOffset + i];
+    if (label >= numClasses) {
+      throw new Error(`Label ${label} at index ${i} is outside the ${numClasses} supported classes`);
+    }
+    labels[i * numClasses + label] = 1;
+  }
+
+  return { labels, count };
+}
+
+/**
+ * Write an IDX header followed by the data bytes
+ */
+function encodeIdx(magic, dims, data) {
+  const bytes = new Uint8Array(4 + dims.length * 4 + data.length);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, magic);
+  dims.forEach((dim, i) => view.setUint32(4 + i * 4, dim));
+  bytes.set(data, 4 + dims.length * 4);
+
+  return bytes;
+}
+
+/**
+ * Encode normalized images (values in [0, 1]) as an IDX3 images file
+ * @param {Float32Array} images count * rows * cols pixel values
+ */
+export function encodeIdxImages(images, count, rows, cols) {
+  const data = new Uint8Array(count * rows * cols);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.round(Math.min(Math.max(images[i], 0), 1) * 255);
+  }
+  return encodeIdx(IDX_IMAGES_MAGIC, [count, rows, cols], data);
+}
+
+/**
+ * Encode class indices as an IDX1 labels file
+ * @param {ArrayLike<number>} labels One class index per sample
+ */
+export function encodeIdxLabels(labels) {
+  return encodeIdx(IDX_LABELS_MAGIC, [labels.length], Uint8Array.from(labels));
+}
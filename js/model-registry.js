@@ -0,0 +1,129 @@
+/**
+ * Model Registry
+ * Persists trained models in the browser so they survive page reloads
+ */
+
+const STORAGE_SCHEME = typeof indexedDB !== 'undefined' ? 'indexeddb://' : 'localstorage://';
+const MODEL_KEY_PREFIX = 'digitnet-model-';
+const REGISTRY_KEY = 'digitnet-model-registry';
+
+/**
+ * Saves, lists, renames and deletes trained models.
+ * Weights live in IndexedDB (or localStorage as a fallback) through tfjs,
+ * display names and training metadata live in a localStorage index.
+ */
+export class ModelRegistry {
+  /**
+   * List saved models, newest first
+   */
+  async list() {
+    const stored = await tf.io.listModels();
+    const metadata = this.readMetadata();
+    const entries = [];
+
+    Object.keys(stored).forEach((url) => {
+      if (!url.startsWith(STORAGE_SCHEME + MODEL_KEY_PREFIX)) return;
+
+      const id = url.slice(STORAGE_SCHEME.length);
+      const info = stored[url];
+      const meta = metadata[id] || {};
+
+      entries.push({
+        id,
+        url,
+        name: meta.name || id,
+        createdAt: meta.createdAt || new Date(info.dateSaved).toISOString(),
+        valAccuracy: meta.valAccuracy ?? null,
+        epochs: meta.epochs ?? null,
+        seed: meta.seed ?? null,
+        sizeBytes: (info.modelTopologyBytes || 0) + (info.weightDataBytes || 0),
+      });
+    });
+
+    // Drop metadata whose weights were removed outside the registry
+    const knownIds = new Set(entries.map(entry => entry.id));
+    const staleIds = Object.keys(metadata).filter(id => !knownIds.has(id));
+    if (staleIds.length > 0) {
+      staleIds.forEach(id => delete metadata[id]);
+      this.writeMetadata(metadata);
+    }
+
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Save a model under a new id and record its metadata
+   */
+  async save(model, { name, valAccuracy = null, epochs = null, seed = null } = {}) {
+    const createdAt = new Date().toISOString();
+    const id = `${MODEL_KEY_PREFIX}${Date.now()}`;
+
+    await model.save(STORAGE_SCHEME + id);
+
+    const metadata = this.readMetadata();
+    metadata[id] = {
+      name: name || `Model ${new Date(createdAt).toLocaleString()}`,
+      createdAt,
+      valAccuracy,
+      epochs,
+      seed,
+    };
+    this.writeMetadata(metadata);
+
+    console.log(`💾 Model saved as ${id}`);
+    return { id, url: STORAGE_SCHEME + id, ...metadata[id] };
+  }
+
+  /**
+   * Load a saved model by id
+   */
+  async load(id) {
+    return tf.loadLayersModel(STORAGE_SCHEME + id);
+  }
+
+  /**
+   * Change the display name of a saved model
+   */
+  rename(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Model name cannot be empty');
+    }
+
+    const metadata = this.readMetadata();
+    metadata[id] = { ...metadata[id], name: trimmed };
+    this.writeMetadata(metadata);
+  }
+
+  /**
+   * Delete a saved model and its metadata
+   */
+  async remove(id) {
+    await tf.io.removeModel(STORAGE_SCHEME + id);
+
+    const metadata = this.readMetadata();
+    delete metadata[id];
+    this.writeMetadata(metadata);
+
+    console.log(`🗑️ Model ${id} deleted`);
+  }
+
+  /**
+   * Read the metadata index from localStorage
+   */
+  readMetadata() {
+    try {
+      return JSON.parse(localStorage.getItem(REGISTRY_KEY)) || {};
+    } catch (error) {
+      console.warn('⚠️ Model registry index is corrupt, starting fresh:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Write the metadata index to localStorage
+   */
+  writeMetadata(metadata) {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(metadata));
+  }
+}
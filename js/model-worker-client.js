@@ -0,0 +1,227 @@
+/**
+ * Model Worker Client
+ * Promise-based wrapper around js/model-worker.js used by the page
+ */
+
+/**
+ * Owns the model worker and turns its messages into promises and callbacks.
+ * The dataset and the model used for predictions live in the worker.
+ */
+export class ModelWorkerClient {
+  constructor() {
+    this.worker = new Worker(new URL('./model-worker.js', import.meta.url), { type: 'module' });
+    this.nextId = 1;
+    this.pending = new Map();
+    this.trainingHandlers = {};
+    // Set once the worker script failed; later requests fail straight away
+    this.failure = null;
+
+    this.worker.addEventListener('message', e => this.handleMessage(e.data));
+    this.worker.addEventListener('error', (e) => {
+      this.failure = new Error(e.message || 'The model worker failed to start');
+      this.rejectAll(this.failure);
+    });
+  }
+
+  /**
+   * Send a request and wait for its answer
+   */
+  request(type, payload = {}, transfer = []) {
+    if (this.failure) {
+      return Promise.reject(this.failure);
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  /**
+   * Send a message that has no answer
+   */
+  notify(type) {
+    this.worker.postMessage({ type });
+  }
+
+  handleMessage(message) {
+    if (message.event) {
+      const handler = this.trainingHandlers[message.event];
+      if (handler) {
+        handler(message.data);
+      }
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) return;
+
+    this.pending.delete(message.id);
+    if (message.error) {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  rejectAll(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Load tfjs in the worker and pick a backend
+   * @param {?string} backend Backend to try first; null for the default order
+   * @returns {Promise<{backend: string}>} The backend actually in use
+   */
+  init(backend = null) {
+    return this.request('init', { backend });
+  }
+
+  /**
+   * Switch backends, falling back to the next available one on failure
+   * @returns {Promise<{backend: string}>} The backend actually in use
+   */
+  setBackend(backend) {
+    return this.request('setBackend', { backend });
+  }
+
+  /**
+   * Time training steps and predictions of a fresh model on one backend
+   * @param {string} backend
+   * @param {object} params CONFIG.model
+   * @param {object} runs trainSteps and predictRuns to average over
+   * @returns {Promise<{backend: string, trainStepMs: number, predictMs: number}>}
+   */
+  benchmark(backend, params, { trainSteps, predictRuns }) {
+    return this.request('benchmark', { backend, params, trainSteps, predictRuns });
+  }
+
+  /**
+   * Load the dataset in the worker
+   * @param {?object} files imagesFile, labelsFile and optional testImagesFile,
+   *     testLabelsFile; null for the default MNIST download
+   * @returns {Promise<{numTrainElements: number, numTestElements: number}>}
+   */
+  loadData(files = null) {
+    return this.request('loadData', { files });
+  }
+
+  /**
+   * Random training images as one flat Float32Array of count * 784 values
+   */
+  sampleTrainImages(count) {
+    return this.request('sampleTrainImages', { count });
+  }
+
+  /**
+   * Use a model (from modelToArtifacts) for predictions
+   */
+  setModel(artifacts) {
+    return this.request('setModel', { artifacts });
+  }
+
+  /**
+   * Class probabilities for count flattened images
+   * @returns {Promise<Float32Array>} count * numClasses values
+   */
+  predict(pixels, count = 1) {
+    return this.request('predict', { pixels, count });
+  }
+
+  /**
+   * Saliency map, Grad-CAM heatmap and conv feature maps for one input
+   * @param {Float32Array} pixels One flattened image
+   * @param {number} classIndex Class to explain
+   * @returns {Promise<object>} See explainPrediction() in js/explainability.js
+   */
+  explain(pixels, classIndex) {
+    return this.request('explain', { pixels, classIndex });
+  }
+
+  /**
+   * Classify the whole test split with the current model
+   * @param {number} batchSize Test images per predict() call
+   * @param {number} maxMisclassified How many of the worst mistakes to return
+   * @returns {Promise<object>} numSamples, matrix (confusion matrix indexed
+   *     [true][predicted]) and misclassified samples, most confident first
+   */
+  evaluate(batchSize, maxMisclassified) {
+    return this.request('evaluate', { batchSize, maxMisclassified });
+  }
+
+  /**
+   * Quantize the current model's weights and measure its test accuracy
+   * before and after
+   * @param {string} dtype 'float16' or 'uint8' (see WEIGHT_DTYPES)
+   * @param {number} batchSize Test images per predict() call
+   * @returns {Promise<object>} See quantizationReport() in js/quantization.js
+   */
+  quantize(dtype, batchSize) {
+    return this.request('quantize', { dtype, batchSize });
+  }
+
+  /**
+   * Train a new model with the given hyperparameters
+   * @param {object} params CONFIG.model
+   * @param {object} handlers onBatchEnd, onEpochEnd and onPaused callbacks
+   * @returns {Promise<object>} artifacts, history, summary, cancelled,
+   *     completedEpochs and lastLogs of the run
+   */
+  async train(params, handlers = {}) {
+    this.trainingHandlers = {
+      batchEnd: handlers.onBatchEnd,
+      epochEnd: handlers.onEpochEnd,
+      paused: handlers.onPaused,
+    };
+
+    try {
+      return await this.request('train', { params });
+    } finally {
+      this.trainingHandlers = {};
+    }
+  }
+
+  /**
+   * Keep training the current model on the user's labelled drawings
+   * @param {object} params CONFIG.model
+   * @param {object} options CONFIG.fineTune
+   * @param {{images: Float32Array, labels: Uint8Array}} samples Transferred,
+   *     so the arrays are unusable afterwards
+   * @param {object} handlers onEpochEnd callback
+   * @returns {Promise<object>} artifacts, lastLogs, accuracyBefore and
+   *     accuracyAfter (on the samples)
+   */
+  async fineTune(params, options, samples, handlers = {}) {
+    this.trainingHandlers = { epochEnd: handlers.onEpochEnd };
+
+    try {
+      return await this.request(
+        'fineTune',
+        { params, options, samples },
+        [samples.images.buffer, samples.labels.buffer]
+      );
+    } finally {
+      this.trainingHandlers = {};
+    }
+  }
+
+  pause() {
+    this.notify('pause');
+  }
+
+  resume() {
+    this.notify('resume');
+  }
+
+  cancel() {
+    this.notify('cancel');
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.rejectAll(new Error('The model worker was stopped'));
+  }
+}
@@ -0,0 +1,679 @@
+/**
+ * Model Worker
+ * Loads the dataset, trains and runs inference off the main thread so drawing
+ * and the rest of the page stay responsive. Driven by ModelWorkerClient.
+ *
+ * Requests arrive as {id, type, payload} and are answered with {id, result}
+ * or {id, error}; training progress is pushed as {event, data}.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+
+import { augmentImages, isAugmentationActive } from './augmentation.js';
+import { FileDataSource } from './data-sources.js';
+import { MnistData } from './data.js';
+import { confusionMatrix } from './evaluation.js';
+import { explainPrediction } from './explainability.js';
+import { createOptimizer } from './hyperparameters.js';
+import { artifactsToModel, createModel, modelToArtifacts, reseedDropout } from './model.js';
+import { quantizationReport } from './quantization.js';
+import { createRandom, deriveSeed, shuffledIndices } from './random.js';
+import { TrainingMonitor } from './training-monitor.js';
+
+// webpack bundles tfjs and the wasm backend into the worker, so it needs no
+// network. The shared modules expect tf as a global, like on the page.
+self.tf = tf;
+
+// webpack emits the .wasm binaries as assets next to the worker bundle
+setWasmPaths({
+  'tfjs-backend-wasm.wasm': new URL('@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm', import.meta.url).href,
+  'tfjs-backend-wasm-simd.wasm': new URL('@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm', import.meta.url).href,
+  'tfjs-backend-wasm-threaded-simd.wasm': new URL('@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm', import.meta.url).href,
+});
+
+// Tried in order; webgl renders to an OffscreenCanvas inside the worker
+const BACKEND_PREFERENCE = ['webgl', 'wasm', 'cpu'];
+
+const state = {
+  data: null,
+  model: null,
+  isTraining: false,
+  // Set while fitDataset() runs: 'pause' | 'cancel' | null
+  trainingAction: null,
+  resumeTraining: null,
+};
+
+// ============================================================================
+// Messaging
+// ============================================================================
+
+function emit(event, data) {
+  self.postMessage({ event, data });
+}
+
+self.addEventListener('message', async (e) => {
+  const { id, type, payload } = e.data;
+  const handler = HANDLERS[type];
+
+  if (!handler) {
+    self.postMessage({ id, error: `Unknown request "${type}"` });
+    return;
+  }
+
+  try {
+    const { result, transfer = [] } = (await handler(payload)) || {};
+    if (id !== undefined) {
+      self.postMessage({ id, result }, transfer);
+    }
+  } catch (error) {
+    console.error(`❌ Worker ${type} failed:`, error);
+    if (id !== undefined) {
+      self.postMessage({ id, error: error.message });
+    }
+  }
+});
+
+// ============================================================================
+// Request Handlers
+// ============================================================================
+
+const HANDLERS = {
+  async init({ backend } = {}) {
+    return { result: { backend: await activateBackend(backend) } };
+  },
+
+  async setBackend({ backend }) {
+    if (state.isTraining) {
+      throw new Error('Cannot switch backends while training');
+    }
+    return { result: { backend: await activateBackend(backend) } };
+  },
+
+  async benchmark({ backend, params, trainSteps, predictRuns }) {
+    return { result: await benchmarkBackend(backend, params, trainSteps, predictRuns) };
+  },
+
+  async loadData({ files }) {
+    const data = files
+      ? new MnistData(new FileDataSource(files.imagesFile, files.labelsFile, {
+        testImagesFile: files.testImagesFile,
+        testLabelsFile: files.testLabelsFile,
+      }))
+      : new MnistData();
+
+    await data.load();
+    state.data = data;
+
+    return {
+      result: {
+        numTrainElements: data.numTrainElements,
+        numTestElements: data.numTestElements,
+      },
+    };
+  },
+
+  async sampleTrainImages({ count }) {
+    const batch = state.data.nextTrainBatch(count);
+    const images = batch.xs.dataSync().slice();
+    batch.xs.dispose();
+    batch.labels.dispose();
+
+    return { result: images, transfer: [images.buffer] };
+  },
+
+  async setModel({ artifacts }) {
+    const model = await artifactsToModel(artifacts);
+    replaceModel(model);
+  },
+
+  async predict({ pixels, count }) {
+    if (!state.model) {
+      throw new Error('No model is loaded');
+    }
+
+    const [height, width, channels] = state.model.inputs[0].shape.slice(1);
+    const prediction = tf.tidy(() => state.model.predict(
+      tf.tensor4d(pixels, [count, height, width, channels])
+    ));
+
+    try {
+      return { result: await prediction.data() };
+    } finally {
+      prediction.dispose();
+    }
+  },
+
+  async explain({ pixels, classIndex }) {
+    if (!state.model) {
+      throw new Error('No model is loaded');
+    }
+
+    const explanation = await explainPrediction(state.model, pixels, classIndex);
+    return {
+      result: explanation,
+      transfer: [
+        explanation.saliency.buffer,
+        ...(explanation.gradCam ? [explanation.gradCam.buffer] : []),
+        ...explanation.featureMaps.map(maps => maps.values.buffer),
+      ],
+    };
+  },
+
+  async evaluate({ batchSize, maxMisclassified }) {
+    return { result: await evaluateModel(batchSize, maxMisclassified) };
+  },
+
+  async quantize({ dtype, batchSize }) {
+    if (!state.model) {
+      throw new Error('No model is loaded');
+    }
+    if (!state.data) {
+      throw new Error('The dataset is not loaded');
+    }
+
+    const report = await quantizationReport(state.model, state.data, dtype, batchSize);
+    return { result: report, transfer: [report.artifacts.weightData] };
+  },
+
+  async train({ params }) {
+    return { result: await trainModel(params) };
+  },
+
+  async fineTune({ params, options, samples }) {
+    return { result: await fineTuneModel(params, options, samples) };
+  },
+
+  pause() {
+    if (state.trainingAction === null) {
+      state.trainingAction = 'pause';
+    }
+  },
+
+  resume() {
+    if (state.resumeTraining) {
+      state.trainingAction = null;
+      state.resumeTraining();
+    }
+  },
+
+  cancel() {
+    state.trainingAction = 'cancel';
+    if (state.resumeTraining) {
+      state.resumeTraining();
+    }
+  },
+};
+
+function replaceModel(model) {
+  if (state.model && state.model !== model) {
+    state.model.dispose();
+  }
+  state.model = model;
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+/**
+ * Classify the whole test split, batch by batch through nextTestBatch()
+ * @returns {Promise<object>} numSamples, the confusion matrix and the
+ *     misclassified samples the model was most confident about, worst first,
+ *     each with label, predicted, confidence, probabilities and pixels
+ */
+async function evaluateModel(batchSize, maxMisclassified) {
+  const { data, model } = state;
+  if (!model) {
+    throw new Error('No model is loaded');
+  }
+  if (!data) {
+    throw new Error('The dataset is not loaded');
+  }
+
+  const numSamples = data.numTestElements;
+  const numClasses = model.outputs[0].shape[1];
+  const [height, width, channels] = model.inputs[0].shape.slice(1);
+  const labels = new Int32Array(numSamples);
+  const predictions = new Int32Array(numSamples);
+  let worst = [];
+
+  for (let start = 0; start < numSamples; start += batchSize) {
+    const size = Math.min(batchSize, numSamples - start);
+    const batch = data.nextTestBatch(size);
+    const [probabilities, batchLabels] = tf.tidy(() => [
+      model.predict(batch.xs.reshape([size, height, width, channels])),
+      batch.labels.argMax(-1),
+    ]);
+
+    try {
+      const [probabilityValues, labelValues, pixelValues] = await Promise.all([
+        probabilities.data(),
+        batchLabels.data(),
+        batch.xs.data(),
+      ]);
+
+      for (let i = 0; i < size; i++) {
+        const sampleProbabilities = probabilityValues.subarray(i * numClasses, (i + 1) * numClasses);
+        const predicted = argMax(sampleProbabilities);
+        labels[start + i] = labelValues[i];
+        predictions[start + i] = predicted;
+
+        if (predicted !== labelValues[i]) {
+          worst.push({
+            label: labelValues[i],
+            predicted,
+            confidence: sampleProbabilities[predicted],
+            probabilities: Array.from(sampleProbabilities),
+            pixels: pixelValues.slice(i * height * width * channels, (i + 1) * height * width * channels),
+          });
+        }
+      }
+    } finally {
+      tf.dispose([batch.xs, batch.labels, probabilities, batchLabels]);
+    }
+
+    // Only keep the most confident mistakes so memory stays bounded
+    worst = worst
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, maxMisclassified);
+  }
+
+  return {
+    numSamples,
+    matrix: confusionMatrix(labels, predictions, numClasses),
+    misclassified: worst,
+  };
+}
+
+function argMax(values) {
+  let best = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[best]) best = i;
+  }
+  return best;
+}
+
+// ============================================================================
+// Backends
+// ============================================================================
+
+/**
+ * Switch to the preferred backend, falling back through BACKEND_PREFERENCE
+ * @returns {Promise<string>} Name of the backend now in use
+ */
+async function activateBackend(preferred = null) {
+  const candidates = preferred
+    ? [preferred, ...BACKEND_PREFERENCE.filter(name => name !== preferred)]
+    : BACKEND_PREFERENCE;
+
+  for (const name of candidates) {
+    if (await tryBackend(name)) {
+      console.log(`✅ Worker using the ${name} backend`);
+      return name;
+    }
+  }
+  throw new Error('No tfjs backend could be initialised');
+}
+
+async function tryBackend(name) {
+  try {
+    if (await tf.setBackend(name)) {
+      await tf.ready();
+      return true;
+    }
+  } catch (error) {
+    console.warn(`⚠️ Backend ${name} unavailable:`, error.message);
+  }
+  return false;
+}
+
+/**
+ * Time training steps and single-image predictions of a fresh model on one
+ * backend. The current backend is restored afterwards.
+ * @returns {Promise<object>} backend, trainStepMs and predictMs (averages)
+ */
+async function benchmarkBackend(backend, params, trainSteps, predictRuns) {
+  if (state.isTraining) {
+    throw new Error('Cannot benchmark while training');
+  }
+
+  const previous = tf.getBackend();
+  if (!await tryBackend(backend)) {
+    throw new Error(`The ${backend} backend is not available`);
+  }
+
+  const model = createModel(params);
+  const { batchSize, inputShape, numClasses } = params;
+  const [xs, ys, image] = tf.tidy(() => [
+    tf.randomUniform([batchSize, ...inputShape]),
+    tf.oneHot(tf.randomUniform([batchSize], 0, numClasses, 'int32'), numClasses),
+    tf.randomUniform([1, ...inputShape]),
+  ]);
+
+  // Times fn() after one untimed warm-up call (shader compilation etc.)
+  const averageMs = async (runs, fn) => {
+    await fn();
+    const start = performance.now();
+    for (let i = 0; i < runs; i++) {
+      await fn();
+    }
+    return (performance.now() - start) / runs;
+  };
+
+  try {
+    const trainStepMs = await averageMs(trainSteps, () => model.trainOnBatch(xs, ys));
+    const predictMs = await averageMs(predictRuns, async () => {
+      const prediction = model.predict(image);
+      await prediction.data();
+      prediction.dispose();
+    });
+
+    return { backend, trainStepMs, predictMs };
+
+  } finally {
+    tf.dispose([xs, ys, image]);
+    // The optimizer is passed in by createModel(), so the model doesn't own it
+    model.optimizer.dispose();
+    model.dispose();
+    await tryBackend(previous);
+  }
+}
+
+// ============================================================================
+// Training
+// ============================================================================
+
+async function trainModel(params) {
+  if (!state.data) {
+    throw new Error('The dataset is not loaded');
+  }
+
+  const { data } = state;
+  const { batchSize, trainDataSize, testDataSize, epochs, inputShape, seed = null } = params;
+
+  // A seed fixes the sample order, initial weights, dropout masks and
+  // augmentation, so the run can be repeated on the same backend
+  data.setSeed(seed);
+  const dropoutRandom = seed === null ? null : createRandom(deriveSeed(seed, 'dropout'));
+  const augmentRandom = seed === null ? Math.random : createRandom(deriveSeed(seed, 'augmentation'));
+
+  const model = createModel(params);
+  state.isTraining = true;
+
+  // Tensors that must be released however training ends
+  const trainingTensors = [];
+  let monitor = null;
+  let currentEpoch = 0;
+  state.trainingAction = null;
+
+  try {
+    // Stream the training split in batches, re-shuffled every epoch
+    const samplesPerEpoch = trainDataSize ?? data.numTrainElements;
+    const batchesPerEpoch = Math.ceil(samplesPerEpoch / batchSize);
+    const augment = isAugmentationActive(params.augmentation)
+      ? images => augmentImages(images, params.augmentation, augmentRandom)
+      : null;
+    const trainDataset = data.trainDataset(batchSize, samplesPerEpoch, augment)
+      .map(({ xs, ys }) => ({
+        xs: xs.reshape([-1, ...inputShape]),
+        ys,
+      }));
+
+    // Prepare validation data
+    const [testXs, testYs] = tf.tidy(() => {
+      const d = data.nextTestBatch(testDataSize);
+      return [
+        d.xs.reshape([testDataSize, ...inputShape]),
+        d.labels
+      ];
+    });
+    trainingTensors.push(testXs, testYs);
+
+    // Early stopping, learning-rate schedule and best-epoch checkpoint
+    monitor = new TrainingMonitor(model, params);
+    let lastLogs = {};
+
+    // Set when a cancel request cuts the current epoch short
+    let cancelledMidEpoch = false;
+
+    const callbacks = {
+      onEpochEnd: async (epoch, logs) => {
+        // Don't report the partial epoch a cancel left behind
+        if (cancelledMidEpoch) return;
+
+        currentEpoch = epoch + 1;
+        lastLogs = logs;
+
+        if (monitor.onEpochEnd(epoch, logs)) {
+          model.stopTraining = true;
+        }
+
+        emit('epochEnd', {
+          epoch,
+          logs,
+          summary: monitor.getSummary(),
+          percentage: (currentEpoch / epochs) * 100,
+        });
+      },
+      onBatchBegin: async () => {
+        if (dropoutRandom) {
+          reseedDropout(model, dropoutRandom);
+        }
+      },
+      onBatchEnd: async (batch, logs) => {
+        const epochFraction = (batch + 1) / batchesPerEpoch;
+        emit('batchEnd', {
+          batch,
+          logs,
+          percentage: ((currentEpoch + epochFraction) / epochs) * 100,
+        });
+
+        // Pausing suspends fitDataset() here, so resuming carries on with the
+        // next batch as if nothing happened
+        if (state.trainingAction === 'pause') {
+          await waitForResume(currentEpoch);
+        }
+        if (state.trainingAction === 'cancel') {
+          model.stopTraining = true;
+          cancelledMidEpoch = true;
+        }
+      },
+    };
+
+    const history = completedHistory(await model.fitDataset(trainDataset, {
+      validationData: [testXs, testYs],
+      epochs,
+      callbacks,
+    }), currentEpoch);
+
+    const cancelled = state.trainingAction === 'cancel';
+
+    // Cancelling keeps the weights exactly as they are
+    const summary = monitor.getSummary();
+    summary.restoredEpoch = null;
+    if (cancelled) {
+      summary.stopReason = `Cancelled after ${currentEpoch}/${epochs} epochs`;
+    } else {
+      summary.stopReason = summary.stopReason || `Completed all ${epochs} epochs`;
+
+      const isBestLast = summary.bestEpoch === currentEpoch;
+      if (params.restoreBestWeights && !isBestLast && monitor.restoreBestWeights()) {
+        summary.restoredEpoch = summary.bestEpoch;
+        summary.stopReason += `; restored best weights from epoch ${summary.bestEpoch}`;
+      }
+    }
+
+    // The trained model also serves predictions from now on
+    replaceModel(model);
+
+    return {
+      artifacts: await modelToArtifacts(model),
+      history,
+      summary,
+      cancelled,
+      completedEpochs: currentEpoch,
+      lastLogs,
+    };
+
+  } catch (error) {
+    if (state.model !== model) {
+      model.dispose();
+    }
+    throw error;
+
+  } finally {
+    trainingTensors.forEach(tensor => tensor.dispose());
+    if (monitor) {
+      monitor.dispose();
+    }
+    state.isTraining = false;
+    state.trainingAction = null;
+    state.resumeTraining = null;
+  }
+}
+
+/**
+ * Keep training the current model on the user's own drawings. Every batch
+ * mixes user samples with MNIST samples so the model doesn't forget MNIST.
+ * @param {object} params Model settings (CONFIG.model)
+ * @param {object} options epochs, batchSize, userFraction, learningRate
+ * @param {{images: Float32Array, labels: Uint8Array}} samples
+ * @returns {Promise<object>} artifacts, lastLogs, and accuracy on the
+ *     user samples before and after fine-tuning
+ */
+async function fineTuneModel(params, options, samples) {
+  const { data, model } = state;
+  if (!model) {
+    throw new Error('No model is loaded');
+  }
+  if (!data) {
+    throw new Error('The dataset is not loaded');
+  }
+  if (state.isTraining) {
+    throw new Error('Training is already running');
+  }
+
+  const { inputShape, numClasses, testDataSize, seed = null } = params;
+  const { epochs, batchSize, userFraction, learningRate } = options;
+  const count = samples.labels.length;
+  const imageSize = samples.images.length / count;
+  const userPerBatch = Math.min(count, Math.max(1, Math.round(batchSize * userFraction)));
+  const mnistPerBatch = batchSize - userPerBatch;
+
+  // Seeded like trainModel(), so fine-tuning can be repeated on the same backend
+  data.setSeed(seed);
+  const sampleRandom = seed === null ? Math.random : createRandom(deriveSeed(seed, 'samples'));
+  const dropoutRandom = seed === null ? null : createRandom(deriveSeed(seed, 'dropout'));
+  const augmentRandom = seed === null ? Math.random : createRandom(deriveSeed(seed, 'augmentation'));
+  const augment = isAugmentationActive(params.augmentation)
+    ? images => augmentImages(images, params.augmentation, augmentRandom)
+    : images => images;
+
+  // Every epoch shows each user sample once, topped up with MNIST per batch
+  const dataset = tf.data.generator(function* () {
+    const order = shuffledIndices(count, sampleRandom);
+
+    for (let start = 0; start < count; start += userPerBatch) {
+      const indices = order.slice(start, start + userPerBatch);
+      const userImages = new Float32Array(indices.length * imageSize);
+      indices.forEach((index, i) => {
+        userImages.set(samples.images.subarray(index * imageSize, (index + 1) * imageSize), i * imageSize);
+      });
+      const userLabels = Array.from(indices, index => samples.labels[index]);
+
+      const mnist = data.nextTrainBatch(mnistPerBatch);
+      const batch = tf.tidy(() => ({
+        xs: tf.concat([tf.tensor2d(augment(userImages), [indices.length, imageSize]), mnist.xs])
+          .reshape([-1, ...inputShape]),
+        ys: tf.concat([tf.oneHot(tf.tensor1d(userLabels, 'int32'), numClasses), mnist.labels]),
+      }));
+      tf.dispose([mnist.xs, mnist.labels]);
+      yield batch;
+    }
+  });
+
+  const userXs = tf.tensor4d(samples.images, [count, ...inputShape]);
+  const [testXs, testYs] = tf.tidy(() => {
+    const d = data.nextTestBatch(testDataSize);
+    return [d.xs.reshape([testDataSize, ...inputShape]), d.labels];
+  });
+
+  // Share of the user samples the model currently gets right
+  const userAccuracy = async () => {
+    const predicted = tf.tidy(() => model.predict(userXs).argMax(-1));
+    const values = await predicted.data();
+    predicted.dispose();
+    return values.filter((digit, i) => digit === samples.labels[i]).length / count;
+  };
+
+  state.isTraining = true;
+  try {
+    const accuracyBefore = await userAccuracy();
+
+    // A small learning rate nudges the weights instead of retraining them
+    const previousOptimizer = model.optimizer;
+    model.compile({
+      optimizer: createOptimizer(params.optimizer, learningRate),
+      loss: 'categoricalCrossentropy',
+      metrics: ['accuracy'],
+    });
+    if (previousOptimizer && previousOptimizer !== model.optimizer) {
+      previousOptimizer.dispose();
+    }
+
+    let lastLogs = {};
+    await model.fitDataset(dataset, {
+      epochs,
+      validationData: [testXs, testYs],
+      callbacks: {
+        onBatchBegin: async () => {
+          if (dropoutRandom) {
+            reseedDropout(model, dropoutRandom);
+          }
+        },
+        onEpochEnd: async (epoch, logs) => {
+          lastLogs = logs;
+          emit('epochEnd', { epoch, logs, percentage: ((epoch + 1) / epochs) * 100 });
+        },
+      },
+    });
+
+    return {
+      artifacts: await modelToArtifacts(model),
+      lastLogs,
+      accuracyBefore,
+      accuracyAfter: await userAccuracy(),
+    };
+
+  } finally {
+    tf.dispose([userXs, testXs, testYs]);
+    state.isTraining = false;
+  }
+}
+
+// fit() history without the partial epoch a cancel left behind
+function completedHistory(result, completedEpochs) {
+  const history = { epoch: [], history: {} };
+  result.epoch.forEach((epoch, i) => {
+    if (epoch >= completedEpochs) return;
+
+    history.epoch.push(epoch);
+    Object.entries(result.history).forEach(([metric, values]) => {
+      (history.history[metric] = history.history[metric] || []).push(values[i]);
+    });
+  });
+  return history;
+}
+
+// Resolves on resume or cancel; state.trainingAction tells which
+function waitForResume(completedEpochs) {
+  emit('paused', { completedEpochs });
+
+  return new Promise((resolve) => {
+    state.resumeTraining = () => {
+      state.resumeTraining = null;
+      resolve();
+    };
+  });
+}
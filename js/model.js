@@ -0,0 +1,191 @@
+/**
+ * Model Definition
+ * Builds the digit classifier from an architecture (js/architecture.js) and
+ * moves models between the page and the model worker as plain, transferable
+ * artifacts
+ */
+
+import { createOptimizer } from './hyperparameters.js';
+import { createRandom, deriveSeed, nextSeed } from './random.js';
+
+// Layer factories by architecture layer type (see js/architecture.js);
+// random() is null unless the model is seeded
+const LAYER_BUILDERS = {
+  conv: (layer, config, random) => tf.layers.conv2d({
+    ...config,
+    filters: layer.filters,
+    kernelSize: layer.kernelSize,
+    strides: 1,
+    padding: layer.padding,
+    activation: layer.activation,
+    kernelInitializer: initializerFor(layer.activation, random),
+  }),
+  pool: (layer, config) => {
+    const options = { ...config, poolSize: layer.poolSize, strides: layer.poolSize };
+    return layer.mode === 'average'
+      ? tf.layers.averagePooling2d(options)
+      : tf.layers.maxPooling2d(options);
+  },
+  dense: (layer, config, random) => tf.layers.dense({
+    ...config,
+    units: layer.units,
+    activation: layer.activation,
+    kernelInitializer: initializerFor(layer.activation, random),
+  }),
+  dropout: (layer, config) => tf.layers.dropout({ ...config, rate: layer.rate }),
+  batchNorm: (layer, config) => tf.layers.batchNormalization(config),
+};
+
+// He initialisation suits ReLU-like activations, Glorot the saturating ones
+function initializerFor(activation, random = null) {
+  const name = ['relu', 'elu'].includes(activation) ? 'heNormal' : 'glorotNormal';
+  return random ? tf.initializers[name]({ seed: nextSeed(random) }) : name;
+}
+
+/**
+ * Build an uncompiled model from an architecture. A Flatten layer is added
+ * before the first Dense layer and a softmax Dense layer at the end.
+ * @param {object} architecture {layers} as described in js/architecture.js
+ * @param {object} shapes inputShape and numClasses, and an optional seed
+ *     that makes the initial weights repeatable
+ * @throws {Error} When a layer doesn't fit its input (e.g. kernel too large)
+ */
+export function buildModel(architecture, { inputShape, numClasses, seed = null }) {
+  const model = tf.sequential({
+    name: 'digit-classifier',
+  });
+  const random = seed === null ? null : createRandom(deriveSeed(seed, 'weights'));
+
+  // Layers are named conv1, conv2, pool1, ... by type
+  const counts = {};
+  let isSpatial = inputShape.length > 1;
+
+  const add = (type, createLayer) => {
+    counts[type] = (counts[type] || 0) + 1;
+    const config = { name: `${type.toLowerCase()}${counts[type]}` };
+    if (model.layers.length === 0) {
+      config.inputShape = inputShape;
+    }
+
+    const layer = createLayer(config);
+    try {
+      model.add(layer);
+    } catch (error) {
+      // A layer that doesn't fit may already hold weights but isn't in the model
+      if (layer.built) {
+        layer.dispose();
+      }
+      throw error;
+    }
+
+    if (layer.outputShape.slice(1).some(size => size < 1)) {
+      throw new Error(`Layer ${layer.name} shrinks its input to nothing (output ${layer.outputShape.slice(1).join('×')})`);
+    }
+  };
+
+  const flattenIfSpatial = () => {
+    if (isSpatial) {
+      add('flatten', config => tf.layers.flatten(config));
+      isSpatial = false;
+    }
+  };
+
+  try {
+    architecture.layers.forEach((layer) => {
+      if (layer.type === 'dense') {
+        flattenIfSpatial();
+      }
+      add(layer.type, config => LAYER_BUILDERS[layer.type](layer, config, random));
+    });
+
+    flattenIfSpatial();
+    model.add(tf.layers.dense({
+      units: numClasses,
+      activation: 'softmax',
+      kernelInitializer: initializerFor('softmax', random),
+      name: 'output',
+    }));
+  } catch (error) {
+    model.dispose();
+    throw error;
+  }
+
+  return model;
+}
+
+/**
+ * Build and compile the digit classifier
+ * @param {object} params Model settings (architecture, inputShape, numClasses,
+ *     optimizer, learningRate and optionally seed), usually CONFIG.model
+ */
+export function createModel(params) {
+  const model = buildModel(params.architecture, params);
+  const optimizer = createOptimizer(params.optimizer, params.learningRate);
+
+  model.compile({
+    optimizer,
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy'],
+  });
+
+  model.summary();
+  return model;
+}
+
+/**
+ * Give every Dropout layer a new seed from random(). Called before each
+ * training batch of a seeded run: a fixed seed alone would drop the same
+ * units in every batch, so each batch gets the next seed in the sequence.
+ */
+export function reseedDropout(model, random) {
+  model.layers.forEach((layer) => {
+    if (layer.getClassName() === 'Dropout') {
+      layer.seed = nextSeed(random);
+    }
+  });
+}
+
+/**
+ * The per-layer data model.summary() prints
+ * @returns {{layers: object[], totalParams: number}} name, className,
+ *     outputShape (without the batch dimension) and params of every layer
+ */
+export function summarizeModel(model) {
+  return {
+    layers: model.layers.map(layer => ({
+      name: layer.name,
+      className: layer.getClassName(),
+      outputShape: layer.outputShape.slice(1),
+      params: layer.countParams(),
+    })),
+    totalParams: model.countParams(),
+  };
+}
+
+/**
+ * Serialise a model's topology and weights without touching storage
+ * @returns {Promise<object>} tfjs ModelArtifacts; weightData is an ArrayBuffer
+ *     that can be transferred with postMessage
+ */
+export async function modelToArtifacts(model) {
+  let artifacts = null;
+
+  await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+    artifacts = modelArtifacts;
+    return {
+      modelArtifactsInfo: {
+        dateSaved: new Date(),
+        modelTopologyType: 'JSON',
+      },
+    };
+  }));
+
+  return artifacts;
+}
+
+/**
+ * Rebuild a model from modelToArtifacts() output
+ */
+export function artifactsToModel(artifacts) {
+  return tf.loadLayersModel(tf.io.fromMemory(artifacts));
+}
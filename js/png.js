@@ -0,0 +1,147 @@
+/**
+ * PNG Decoder
+ * Minimal decoder for the MNIST images sprite where createImageBitmap and
+ * OffscreenCanvas are unavailable (e.g. Node.js). Handles non-interlaced,
+ * 8-bit grayscale, RGB and RGBA images (with or without alpha).
+ * https://www.w3.org/TR/png/
+ */
+
+import { isPng } from './idx.js';
+
+// Channels per pixel by colour type; palette images (3) are not supported
+const CHANNELS = {
+  0: 1,
+  2: 3,
+  4: 2,
+  6: 4,
+};
+
+/**
+ * Inflate zlib-wrapped data with the native DecompressionStream
+ */
+async function inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('PNG decoding is not supported in this environment');
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Undo the per-row filters in place of a fresh output array
+ */
+function unfilter(raw, width, height, channels) {
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const input = y * (stride + 1) + 1;
+    const row = y * stride;
+    const previousRow = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[previousRow + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[previousRow + x - channels] : 0;
+
+      let predicted;
+      switch (filter) {
+        case 0: predicted = 0; break;
+        case 1: predicted = left; break;
+        case 2: predicted = up; break;
+        case 3: predicted = (left + up) >> 1; break;
+        case 4: predicted = paeth(left, up, upLeft); break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter} in row ${y}`);
+      }
+
+      pixels[row + x] = (raw[input + x] + predicted) & 0xff;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Decode a PNG file
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{width: number, height: number, channels: number, pixels: Uint8Array}>}
+ *     pixels holds height rows of width * channels bytes
+ */
+export async function decodePng(bytes) {
+  if (!isPng(bytes)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const compressed = [];
+  let header = null;
+
+  // The 8-byte signature is followed by length, type, data, CRC chunks
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (data.length !== length) {
+      throw new Error(`Truncated PNG ${type} chunk`);
+    }
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'IDAT') {
+      compressed.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!header) {
+    throw new Error('PNG file has no IHDR chunk');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || bitDepth !== 8 || interlace !== 0) {
+    throw new Error(
+      `Unsupported PNG format (colour type ${colorType}, bit depth ${bitDepth}, interlace ${interlace}); ` +
+      'only non-interlaced 8-bit grayscale, RGB and RGBA images are supported'
+    );
+  }
+
+  const joined = new Uint8Array(compressed.reduce((total, chunk) => total + chunk.length, 0));
+  compressed.reduce((offset, chunk) => {
+    joined.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+
+  const raw = await inflate(joined);
+  if (raw.length !== height * (width * channels + 1)) {
+    throw new Error('PNG image data does not match its header');
+  }
+
+  return { width, height, channels, pixels: unfilter(raw, width, height, channels) };
+}
@@ -0,0 +1,253 @@
+/**
+ * Drawing Preprocessing
+ * Turns a canvas drawing into an MNIST-style 28x28 input: crop to the ink,
+ * scale into a 20x20 box keeping aspect ratio, then centre by centre of mass
+ */
+
+const IMAGE_SIDE = 28;
+const IMAGE_SIZE = IMAGE_SIDE * IMAGE_SIDE;
+const CENTER = (IMAGE_SIDE - 1) / 2;
+
+// MNIST digits fit a 20x20 box inside the 28x28 frame
+const DIGIT_BOX = 20;
+
+// Pixels brighter than this count as ink when finding the bounding box
+const INK_THRESHOLD = 0.1;
+
+// Typical MNIST stroke width relative to the digit's longer side
+const DEFAULT_STROKE_RATIO = 0.12;
+
+// Cap on dilation/erosion passes so huge canvases stay fast
+const MAX_STROKE_STEPS = 20;
+
+/**
+ * Convert RGBA ImageData into grayscale values in [0, 1]
+ */
+export function imageDataToGrayscale(imageData) {
+  const { data, width, height } = imageData;
+  const gray = new Float32Array(width * height);
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / (3 * 255);
+  }
+
+  return gray;
+}
+
+/**
+ * Smallest rectangle containing every ink pixel, or null for a blank image
+ */
+export function findBoundingBox(gray, width, height, threshold = INK_THRESHOLD) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (gray[y * width + x] > threshold) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Estimate the average stroke width in pixels as 2 * ink area / ink outline
+ */
+export function estimateStrokeWidth(gray, width, height, threshold = INK_THRESHOLD) {
+  let area = 0;
+  let outline = 0;
+  const isInk = (x, y) => (
+    x >= 0 && y >= 0 && x < width && y < height && gray[y * width + x] > threshold
+  );
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isInk(x, y)) continue;
+
+      area++;
+      if (!isInk(x - 1, y) || !isInk(x + 1, y) || !isInk(x, y - 1) || !isInk(x, y + 1)) {
+        outline++;
+      }
+    }
+  }
+
+  return outline === 0 ? 0 : (2 * area) / outline;
+}
+
+/**
+ * Grow (steps > 0) or shrink (steps < 0) strokes by one pixel per step
+ * using a 3x3 cross grayscale dilation/erosion
+ */
+function morph(gray, width, height, steps) {
+  const pick = steps > 0 ? Math.max : Math.min;
+  const scratch = new Float32Array(gray.length);
+
+  for (let step = 0; step < Math.abs(steps); step++) {
+    scratch.set(gray);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let value = scratch[i];
+        if (x > 0) value = pick(value, scratch[i - 1]);
+        if (x < width - 1) value = pick(value, scratch[i + 1]);
+        if (y > 0) value = pick(value, scratch[i - width]);
+        if (y < height - 1) value = pick(value, scratch[i + width]);
+        gray[i] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Thicken or thin strokes so their width matches ratio * the digit's longer side
+ * @returns {Float32Array} Normalised copy of the image
+ */
+function normalizeStroke(gray, width, height, box, ratio) {
+  const output = Float32Array.from(gray);
+  const current = estimateStrokeWidth(gray, width, height);
+  const target = ratio * Math.max(box.width, box.height);
+
+  // Each step adds or removes a pixel on both sides of the stroke
+  const steps = Math.round((target - current) / 2);
+  const clamped = Math.max(-MAX_STROKE_STEPS, Math.min(MAX_STROKE_STEPS, steps));
+
+  // Never erode a stroke away entirely
+  const maxErosion = Math.floor((current - 1) / 2);
+  morph(output, width, height, Math.max(clamped, -maxErosion));
+
+  return output;
+}
+
+/**
+ * Resample one axis by area averaging, which stays accurate for large
+ * downscales where bilinear sampling would skip most source pixels
+ */
+function resampleAxis(src, srcWidth, srcHeight, dstLength, horizontal) {
+  const srcLength = horizontal ? srcWidth : srcHeight;
+  const lines = horizontal ? srcHeight : srcWidth;
+  const ratio = srcLength / dstLength;
+  const dstWidth = horizontal ? dstLength : srcWidth;
+  const dst = new Float32Array(horizontal ? dstLength * srcHeight : srcWidth * dstLength);
+
+  for (let line = 0; line < lines; line++) {
+    for (let i = 0; i < dstLength; i++) {
+      const start = i * ratio;
+      const end = start + ratio;
+      let sum = 0;
+
+      for (let j = Math.floor(start); j < Math.min(Math.ceil(end), srcLength); j++) {
+        const overlap = Math.min(end, j + 1) - Math.max(start, j);
+        const value = horizontal ? src[line * srcWidth + j] : src[j * srcWidth + line];
+        sum += value * overlap;
+      }
+
+      const index = horizontal ? line * dstWidth + i : i * dstWidth + line;
+      dst[index] = sum / ratio;
+    }
+  }
+
+  return dst;
+}
+
+/**
+ * Copy a rectangle out of an image
+ */
+function crop(gray, width, box) {
+  const output = new Float32Array(box.width * box.height);
+
+  for (let y = 0; y < box.height; y++) {
+    const offset = (box.y + y) * width + box.x;
+    output.set(gray.subarray(offset, offset + box.width), y * box.width);
+  }
+
+  return output;
+}
+
+/**
+ * Centre of mass of an image, in pixel coordinates
+ */
+function centerOfMass(gray, width, height) {
+  let total = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = gray[y * width + x];
+      total += value;
+      sumX += x * value;
+      sumY += y * value;
+    }
+  }
+
+  return total === 0
+    ? { x: (width - 1) / 2, y: (height - 1) / 2 }
+    : { x: sumX / total, y: sumY / total };
+}
+
+/**
+ * Preprocess a grayscale drawing (white ink on black) the way MNIST was built
+ * @param {Float32Array} gray width * height values in [0, 1]
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {boolean} [options.normalizeStroke] Adjust the stroke width to look like MNIST
+ * @param {number} [options.strokeRatio] Target stroke width relative to the digit size
+ * @returns {?{pixels: Float32Array, boundingBox: object, strokeWidth: number}}
+ *     784 values ready for the model, or null when nothing was drawn
+ */
+export function preprocessDigit(gray, width, height, options = {}) {
+  const { normalizeStroke: shouldNormalize = false, strokeRatio = DEFAULT_STROKE_RATIO } = options;
+
+  let image = gray;
+  let box = findBoundingBox(image, width, height);
+  if (!box) return null;
+
+  if (shouldNormalize) {
+    image = normalizeStroke(image, width, height, box, strokeRatio);
+    box = findBoundingBox(image, width, height) || box;
+  }
+
+  // Fit the longer side to the 20px digit box
+  const scale = DIGIT_BOX / Math.max(box.width, box.height);
+  const digitWidth = Math.max(1, Math.round(box.width * scale));
+  const digitHeight = Math.max(1, Math.round(box.height * scale));
+
+  const cropped = crop(image, width, box);
+  const resizedX = resampleAxis(cropped, box.width, box.height, digitWidth, true);
+  const digit = resampleAxis(resizedX, digitWidth, box.height, digitHeight, false);
+
+  // Shift so the centre of mass lands in the middle of the 28x28 frame
+  const com = centerOfMass(digit, digitWidth, digitHeight);
+  const offsetX = Math.round(CENTER - com.x);
+  const offsetY = Math.round(CENTER - com.y);
+  const pixels = new Float32Array(IMAGE_SIZE);
+
+  for (let y = 0; y < digitHeight; y++) {
+    const ty = y + offsetY;
+    if (ty < 0 || ty >= IMAGE_SIDE) continue;
+
+    for (let x = 0; x < digitWidth; x++) {
+      const tx = x + offsetX;
+      if (tx < 0 || tx >= IMAGE_SIDE) continue;
+
+      pixels[ty * IMAGE_SIDE + tx] = Math.min(1, digit[y * digitWidth + x]);
+    }
+  }
+
+  return {
+    pixels,
+    boundingBox: box,
+    strokeWidth: estimateStrokeWidth(image, width, height),
+  };
+}
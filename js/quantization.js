@@ -0,0 +1,242 @@
+/**
+ * Post-training Quantization
+ * Stores a model's float32 weights as float16 or uint8 to shrink its
+ * download, and measures what that costs in test accuracy. The quantized
+ * weights use the tfjs weights manifest format, so tf.loadLayersModel()
+ * reads them back without extra code.
+ */
+
+import { artifactsToModel, modelToArtifacts } from './model.js';
+
+// Weight precisions a model can be exported with; float32 leaves it as trained
+export const WEIGHT_DTYPES = ['float32', 'float16', 'uint8'];
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+/**
+ * IEEE half-precision bits of a number, rounded to nearest even. Values too
+ * large for float16 become ±Infinity, values too small ±0.
+ */
+function float16Bits(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const floatExponent = (bits >>> 23) & 0xff;
+  let mantissa = bits & 0x7fffff;
+
+  if (floatExponent === 0xff) {
+    // Infinity stays Infinity, NaN stays NaN
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+
+  // Rebias from float32's 127 to float16's 15
+  const exponent = floatExponent - 127 + 15;
+  if (exponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+
+  // Subnormal halves shift the implicit leading bit into the mantissa
+  let shift = 13;
+  let half = sign | (exponent << 10);
+  if (exponent <= 0) {
+    if (exponent < -10) return sign;
+    mantissa |= 0x800000;
+    shift = 14 - exponent;
+    half = sign;
+  }
+
+  const remainder = mantissa & ((1 << shift) - 1);
+  const halfway = 1 << (shift - 1);
+  half += mantissa >>> shift;
+  // A carry out of the mantissa correctly bumps the exponent
+  if (remainder > halfway || (remainder === halfway && (half & 1))) {
+    half++;
+  }
+  return half;
+}
+
+/**
+ * Affine uint8 quantization: value ≈ q * scale + min, as decoded by tfjs
+ */
+function quantizeUint8(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  if (values.length === 0) {
+    min = 0;
+    max = 0;
+  }
+
+  // A constant weight (e.g. untouched biases) still needs a usable scale
+  const scale = max > min ? (max - min) / 255 : 1;
+  const quantized = new Uint8Array(values.length);
+  values.forEach((value, i) => {
+    quantized[i] = Math.round((value - min) / scale);
+  });
+
+  return { bytes: quantized, quantization: { dtype: 'uint8', min, scale } };
+}
+
+function quantizeFloat16(values) {
+  const quantized = new Uint16Array(values.length);
+  values.forEach((value, i) => {
+    quantized[i] = float16Bits(value);
+  });
+
+  return { bytes: new Uint8Array(quantized.buffer), quantization: { dtype: 'float16' } };
+}
+
+/**
+ * Copy of model artifacts with every float32 weight stored as dtype.
+ * Weights of other types are copied unchanged.
+ * @param {object} artifacts From modelToArtifacts()
+ * @param {string} dtype One of WEIGHT_DTYPES
+ * @returns {object} Artifacts for tf.io.fromMemory() or any save handler
+ */
+export function quantizeArtifacts(artifacts, dtype) {
+  if (!WEIGHT_DTYPES.includes(dtype)) {
+    throw new Error(`Unknown weight precision "${dtype}". Use one of ${WEIGHT_DTYPES.join(', ')}`);
+  }
+  if (dtype === 'float32') {
+    return artifacts;
+  }
+
+  // weightData may be split into several buffers
+  const buffer = tf.io.CompositeArrayBuffer.join(artifacts.weightData);
+  const quantize = dtype === 'uint8' ? quantizeUint8 : quantizeFloat16;
+  const weightSpecs = [];
+  const chunks = [];
+  let offset = 0;
+
+  artifacts.weightSpecs.forEach((spec) => {
+    if (spec.quantization) {
+      throw new Error(`Weight ${spec.name} is already quantized`);
+    }
+
+    const size = spec.shape.reduce((product, dim) => product * dim, 1);
+    const byteLength = size * 4;
+
+    if (spec.dtype === 'float32') {
+      const { bytes, quantization } = quantize(new Float32Array(buffer.slice(offset, offset + byteLength)));
+      weightSpecs.push({ ...spec, quantization });
+      chunks.push(bytes);
+    } else {
+      // int32 and bool weights are 4 bytes per value too
+      weightSpecs.push(spec);
+      chunks.push(new Uint8Array(buffer, offset, byteLength));
+    }
+    offset += byteLength;
+  });
+
+  const weightData = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  chunks.forEach((chunk) => {
+    weightData.set(chunk, position);
+    position += chunk.length;
+  });
+
+  return { ...artifacts, weightSpecs, weightData: weightData.buffer };
+}
+
+/**
+ * Download size of model artifacts, in bytes
+ * @returns {{totalBytes: number, weightBytes: number, layers: object[]}}
+ *     layers holds {name, bytes} of every layer with weights, largest first
+ */
+export function modelSize(artifacts) {
+  const bytesPerValue = { float16: 2, uint8: 1 };
+  const byLayer = new Map();
+  let weightBytes = 0;
+
+  artifacts.weightSpecs.forEach((spec) => {
+    const size = spec.shape.reduce((product, dim) => product * dim, 1);
+    const bytes = size * (bytesPerValue[spec.quantization?.dtype] ?? 4);
+    // Weight names are "<layer>/<weight>", e.g. dense1/kernel
+    const layer = spec.name.split('/')[0];
+
+    byLayer.set(layer, (byLayer.get(layer) || 0) + bytes);
+    weightBytes += bytes;
+  });
+
+  // model.json holds the topology and the weights manifest
+  const jsonBytes = new TextEncoder().encode(
+    JSON.stringify(artifacts.modelTopology) + JSON.stringify(artifacts.weightSpecs)
+  ).length;
+
+  return {
+    totalBytes: jsonBytes + weightBytes,
+    weightBytes,
+    layers: [...byLayer]
+      .map(([name, bytes]) => ({ name, bytes }))
+      .sort((a, b) => b.bytes - a.bytes),
+  };
+}
+
+/**
+ * Share of the test split a model classifies correctly, batch by batch
+ * through data.nextTestBatch(). A full pass leaves the test order where it
+ * started, so two models measured one after the other see the same images.
+ */
+export async function testAccuracy(model, data, batchSize) {
+  const numSamples = data.numTestElements;
+  const [height, width, channels] = model.inputs[0].shape.slice(1);
+  let correct = 0;
+
+  for (let start = 0; start < numSamples; start += batchSize) {
+    const size = Math.min(batchSize, numSamples - start);
+    const batch = data.nextTestBatch(size);
+    const matches = tf.tidy(() => model
+      .predict(batch.xs.reshape([size, height, width, channels]))
+      .argMax(-1)
+      .equal(batch.labels.argMax(-1))
+      .sum());
+
+    try {
+      correct += (await matches.data())[0];
+    } finally {
+      tf.dispose([batch.xs, batch.labels, matches]);
+    }
+  }
+
+  return numSamples > 0 ? correct / numSamples : 0;
+}
+
+/**
+ * Quantize a model's weights and compare size and test accuracy before and
+ * after. The quantized copy is loaded back the way the app would load the
+ * export, so its accuracy includes the rounding.
+ * @param {tf.LayersModel} model Trained model; left untouched
+ * @param {MnistData} data Loaded dataset whose test split is evaluated
+ * @param {string} dtype One of WEIGHT_DTYPES
+ * @param {number} batchSize Test images per predict() call
+ * @returns {Promise<object>} dtype, numSamples, artifacts (quantized, ready
+ *     to save), and original and quantized, each with the modelSize() fields
+ *     and accuracy
+ */
+export async function quantizationReport(model, data, dtype, batchSize) {
+  const artifacts = await modelToArtifacts(model);
+  const quantizedArtifacts = quantizeArtifacts(artifacts, dtype);
+  const quantizedModel = await artifactsToModel(quantizedArtifacts);
+
+  try {
+    const original = { ...modelSize(artifacts), accuracy: await testAccuracy(model, data, batchSize) };
+    const quantized = {
+      ...modelSize(quantizedArtifacts),
+      accuracy: await testAccuracy(quantizedModel, data, batchSize),
+    };
+
+    return {
+      dtype,
+      numSamples: data.numTestElements,
+      artifacts: quantizedArtifacts,
+      original,
+      quantized,
+    };
+  } finally {
+    quantizedModel.dispose();
+  }
+}
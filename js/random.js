@@ -0,0 +1,76 @@
+/**
+ * Seeded Randomness
+ * Small deterministic random number generators so a training run can be
+ * repeated from its seed: data shuffling, weight initialisation, dropout
+ * masks and augmentation each draw from their own stream of the run's seed
+ */
+
+// Seeds are unsigned 32-bit integers
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * A fresh random seed, for runs where the user didn't pick one
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Seed for one purpose of a run (e.g. 'data', 'weights'), so the streams
+ * don't depend on each other: turning on augmentation doesn't change the
+ * data order. FNV-1a of the purpose, mixed into the seed.
+ */
+export function deriveSeed(seed, purpose) {
+  let hash = (seed ^ 0x811c9dc5) >>> 0;
+  for (let i = 0; i < purpose.length; i++) {
+    hash = Math.imul(hash ^ purpose.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Mulberry32 generator: uniform numbers in [0, 1), like Math.random
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Next seed from a generator, e.g. for a tfjs initializer or dropout layer
+ */
+export function nextSeed(random) {
+  return Math.floor(random() * (MAX_SEED + 1));
+}
+
+/**
+ * Fisher-Yates shuffle in place, same as tf.util.shuffle but with a chosen source
+ */
+export function shuffle(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * 0..n-1 in random order, same as tf.util.createShuffledIndices
+ * @returns {Uint32Array}
+ */
+export function shuffledIndices(n, random = Math.random) {
+  const indices = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    indices[i] = i;
+  }
+  return shuffle(indices, random);
+}
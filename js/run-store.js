@@ -0,0 +1,344 @@
+/**
+ * Run Store
+ * Keeps every training run's settings and per-epoch metrics in IndexedDB so
+ * runs can be compared after a reload, and converts them to and from JSON
+ * and CSV for sharing
+ */
+
+const DB_NAME = 'digitnet-runs';
+const DB_VERSION = 1;
+const STORE_NAME = 'runs';
+
+// Identifies exported JSON files
+const EXPORT_FORMAT = 'digitnet-runs';
+const EXPORT_VERSION = 1;
+
+// Metrics recorded per epoch, as named in fitDataset()'s logs
+export const RUN_METRICS = ['loss', 'acc', 'val_loss', 'val_acc'];
+
+const CSV_COLUMNS = [
+  'run',
+  'created_at',
+  'status',
+  'backend',
+  'seed',
+  'optimizer',
+  'learning_rate',
+  'batch_size',
+  'epoch',
+  ...RUN_METRICS,
+  'epoch_learning_rate',
+  'config',
+];
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Adds, updates, lists and deletes training runs.
+ * A run is {id, createdAt, status, backend, config, epochs, summary}: config
+ * is the CONFIG.model the run trained with (architecture and seed included),
+ * epochs holds {epoch, loss, acc, val_loss, val_acc, learningRate} per
+ * completed epoch, and summary is filled in when training ends.
+ */
+export class RunStore {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  /**
+   * Run fn(store) in a transaction and resolve with its request's result
+   */
+  async run(mode, fn) {
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisify(fn(store));
+  }
+
+  /**
+   * Store a new run
+   * @returns {Promise<number>} Id of the new run
+   */
+  async add(run) {
+    const { id, ...record } = run;
+    return this.run('readwrite', store => store.add(record));
+  }
+
+  /**
+   * Replace a stored run, e.g. after another epoch finished
+   */
+  async put(run) {
+    await this.run('readwrite', store => store.put(run));
+  }
+
+  /**
+   * All runs, newest first
+   */
+  async list() {
+    const runs = await this.run('readonly', store => store.getAll());
+    return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Delete one run
+   */
+  async remove(id) {
+    await this.run('readwrite', store => store.delete(id));
+    console.log(`🗑️ Run ${id} deleted`);
+  }
+
+  /**
+   * Delete every run
+   */
+  async clear() {
+    await this.run('readwrite', store => store.clear());
+    console.log('🗑️ All runs deleted');
+  }
+}
+
+/**
+ * Best epoch of a run by a metric
+ * @returns {?{epoch: number, value: number}} null when no epoch recorded it
+ */
+export function bestEpoch(run, metric = 'val_acc') {
+  const isLoss = metric.endsWith('loss');
+  let best = null;
+
+  run.epochs.forEach(({ epoch, [metric]: value }) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+    if (!best || (isLoss ? value < best.value : value > best.value)) {
+      best = { epoch, value };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Runs ordered by their best val_acc, highest first; runs without one last
+ */
+export function sortRunsByValAccuracy(runs) {
+  const score = run => bestEpoch(run)?.value ?? -Infinity;
+  return [...runs].sort((a, b) => score(b) - score(a));
+}
+
+/**
+ * Serialise runs for download
+ */
+export function runsToJson(runs) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, runs }, null, 2);
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per epoch (or one empty row for a run without epochs). The config
+ * column holds the full settings as JSON so parseRuns() can restore them.
+ */
+export function runsToCsv(runs) {
+  const rows = [CSV_COLUMNS];
+
+  runs.forEach((run) => {
+    const { config = {} } = run;
+    const runFields = [
+      run.id,
+      run.createdAt,
+      run.status,
+      run.backend,
+      config.seed,
+      config.optimizer,
+      config.learningRate,
+      config.batchSize,
+    ];
+    const epochs = run.epochs.length > 0 ? run.epochs : [{}];
+
+    epochs.forEach((epoch) => {
+      rows.push([
+        ...runFields,
+        epoch.epoch,
+        ...RUN_METRICS.map(metric => epoch[metric]),
+        epoch.learningRate,
+        JSON.stringify(config),
+      ]);
+    });
+  });
+
+  return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Rebuild runs from runsToCsv() output, grouping rows by the run column
+ */
+function runsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const column = name => header ? header.indexOf(name) : -1;
+
+  if (column('run') < 0 || column('epoch') < 0) {
+    throw new Error('CSV needs at least "run" and "epoch" columns');
+  }
+
+  const number = value => (value === '' || value === undefined ? null : Number(value));
+  const runs = new Map();
+
+  rows.forEach((fields, line) => {
+    const value = name => (column(name) >= 0 ? fields[column(name)] : undefined);
+    const key = value('run');
+
+    if (!runs.has(key)) {
+      let config = {};
+      if (value('config')) {
+        try {
+          config = JSON.parse(value('config'));
+        } catch (error) {
+          throw new Error(`Invalid config JSON on line ${line + 2}`);
+        }
+      }
+
+      runs.set(key, {
+        createdAt: value('created_at') || new Date().toISOString(),
+        status: value('status') || 'completed',
+        backend: value('backend') || null,
+        config,
+        epochs: [],
+        summary: null,
+      });
+    }
+
+    if (value('epoch') !== '') {
+      const epoch = { epoch: number(value('epoch')) };
+      RUN_METRICS.forEach((metric) => {
+        epoch[metric] = number(value(metric));
+      });
+      epoch.learningRate = number(value('epoch_learning_rate'));
+      runs.get(key).epochs.push(epoch);
+    }
+  });
+
+  return [...runs.values()];
+}
+
+/**
+ * Check that imported runs have the fields the runs view relies on
+ */
+function validateRuns(runs) {
+  if (!Array.isArray(runs)) {
+    throw new Error('Expected a list of runs');
+  }
+
+  runs.forEach((run, index) => {
+    const isValid = run && typeof run === 'object' &&
+      typeof run.createdAt === 'string' &&
+      Array.isArray(run.epochs) &&
+      run.epochs.every(epoch => Number.isInteger(epoch?.epoch) && epoch.epoch > 0);
+
+    if (!isValid) {
+      throw new Error(`Run ${index + 1} is missing its creation date or has invalid epochs`);
+    }
+  });
+
+  return runs.map(({ id, ...run }) => ({ config: {}, summary: null, status: 'completed', ...run }));
+}
+
+/**
+ * Read runs exported by runsToJson() or runsToCsv()
+ * @param {string} text File contents
+ * @returns {object[]} Runs without ids, ready for RunStore.add()
+ * @throws {Error} When the file is neither format or a run is malformed
+ */
+export function parseRuns(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const runs = Array.isArray(parsed) ? parsed : parsed.runs;
+    if (!Array.isArray(parsed) && parsed.format !== EXPORT_FORMAT) {
+      throw new Error('This JSON file is not a run history export');
+    }
+    return validateRuns(runs);
+  }
+
+  return validateRuns(runsFromCsv(trimmed));
+}
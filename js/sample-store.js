@@ -0,0 +1,123 @@
+/**
+ * Sample Store
+ * Keeps the user's labelled drawings in IndexedDB so they can be reviewed,
+ * exported and used to fine-tune the model
+ */
+
+const DB_NAME = 'digitnet-samples';
+const DB_VERSION = 1;
+const STORE_NAME = 'samples';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Adds, lists, relabels and deletes user drawings.
+ * Each record holds the 28×28 model input as bytes (like MNIST), its label
+ * and when it was collected.
+ */
+export class SampleStore {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  /**
+   * Run fn(store) in a transaction and resolve with its request's result
+   */
+  async run(mode, fn) {
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisify(fn(store));
+  }
+
+  /**
+   * Store a drawing
+   * @param {Float32Array} pixels Model input, values in [0, 1]
+   * @param {number} label Digit the drawing shows
+   * @returns {Promise<number>} Id of the new sample
+   */
+  async add(pixels, label) {
+    const bytes = Uint8Array.from(pixels, value => Math.round(Math.min(Math.max(value, 0), 1) * 255));
+    const id = await this.run('readwrite', store => store.add({
+      label,
+      pixels: bytes,
+      createdAt: new Date().toISOString(),
+    }));
+
+    console.log(`💾 Sample ${id} saved as ${label}`);
+    return id;
+  }
+
+  /**
+   * List all samples, newest first, with pixels back in [0, 1]
+   * @returns {Promise<{id: number, label: number, pixels: Float32Array, createdAt: string}[]>}
+   */
+  async list() {
+    const records = await this.run('readonly', store => store.getAll());
+
+    return records
+      .map(record => ({ ...record, pixels: Float32Array.from(record.pixels, value => value / 255) }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Number of stored samples
+   */
+  async count() {
+    return this.run('readonly', store => store.count());
+  }
+
+  /**
+   * Change the label of a sample
+   */
+  async relabel(id, label) {
+    const record = await this.run('readonly', store => store.get(id));
+    if (!record) {
+      throw new Error(`Sample ${id} does not exist`);
+    }
+
+    await this.run('readwrite', store => store.put({ ...record, label }));
+  }
+
+  /**
+   * Delete one sample
+   */
+  async remove(id) {
+    await this.run('readwrite', store => store.delete(id));
+    console.log(`🗑️ Sample ${id} deleted`);
+  }
+
+  /**
+   * Delete every sample
+   */
+  async clear() {
+    await this.run('readwrite', store => store.clear());
+    console.log('🗑️ All samples deleted');
+  }
+}
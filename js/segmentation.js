@@ -0,0 +1,238 @@
+/**
+ * Digit Segmentation
+ * Splits a drawing of a whole number into one image per digit using
+ * connected components, with column-projection splitting for touching digits
+ */
+
+// Pixels brighter than this count as ink
+const INK_THRESHOLD = 0.1;
+
+// Components smaller than this (in pixels) are treated as noise
+const MIN_COMPONENT_AREA = 20;
+
+// Components overlapping horizontally by this fraction of the narrower one
+// belong to the same digit (e.g. the two strokes of a "4" or "5")
+const MERGE_OVERLAP = 0.5;
+
+/**
+ * Label 8-connected ink regions
+ * @returns {{labels: Int32Array, components: object[]}} labels holds the
+ *     component index + 1 per pixel (0 for background)
+ */
+function labelComponents(gray, width, height, threshold) {
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] !== 0 || gray[start] <= threshold) continue;
+
+    const label = components.length + 1;
+    const component = { label, area: 0, minX: width, minY: height, maxX: -1, maxY: -1 };
+    labels[start] = label;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+
+      component.area++;
+      if (x < component.minX) component.minX = x;
+      if (x > component.maxX) component.maxX = x;
+      if (y < component.minY) component.minY = y;
+      if (y > component.maxY) component.maxY = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+          const neighbour = ny * width + nx;
+          if (labels[neighbour] === 0 && gray[neighbour] > threshold) {
+            labels[neighbour] = label;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return { labels, components };
+}
+
+/**
+ * Fraction of the narrower group's width shared by both groups' column ranges
+ */
+function horizontalOverlap(a, b) {
+  const shared = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX) + 1;
+  const narrower = Math.min(a.maxX - a.minX, b.maxX - b.minX) + 1;
+  return shared <= 0 ? 0 : shared / narrower;
+}
+
+/**
+ * Cut the pixels of the given component labels out of the drawing
+ * @returns {{box: object, pixels: Float32Array}} Masked crop of the ink
+ */
+function extractSegment(gray, width, labels, group) {
+  const box = {
+    x: group.minX,
+    y: group.minY,
+    width: group.maxX - group.minX + 1,
+    height: group.maxY - group.minY + 1,
+  };
+  const pixels = new Float32Array(box.width * box.height);
+
+  for (let y = 0; y < box.height; y++) {
+    for (let x = 0; x < box.width; x++) {
+      const index = (box.y + y) * width + box.x + x;
+      if (group.labels.has(labels[index])) {
+        pixels[y * box.width + x] = gray[index];
+      }
+    }
+  }
+
+  return { box, pixels };
+}
+
+/**
+ * Split a grayscale drawing (white ink on black) into digits, left to right
+ * @param {Float32Array} gray width * height values in [0, 1]
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.threshold] Brightness above which a pixel is ink
+ * @param {number} [options.minArea] Smallest component kept, in pixels
+ * @param {number} [options.mergeOverlap] Horizontal overlap that joins components
+ * @returns {{box: object, pixels: Float32Array}[]} One masked crop per digit
+ */
+export function segmentDigits(gray, width, height, options = {}) {
+  const {
+    threshold = INK_THRESHOLD,
+    minArea = MIN_COMPONENT_AREA,
+    mergeOverlap = MERGE_OVERLAP,
+  } = options;
+
+  const { labels, components } = labelComponents(gray, width, height, threshold);
+
+  const groups = components
+    .filter(component => component.area >= minArea)
+    .map(component => ({ ...component, labels: new Set([component.label]) }))
+    .sort((a, b) => a.minX - b.minX);
+
+  // Join neighbours that share most of their columns
+  for (let i = 0; i < groups.length - 1;) {
+    const current = groups[i];
+    const next = groups[i + 1];
+
+    if (horizontalOverlap(current, next) >= mergeOverlap) {
+      current.minX = Math.min(current.minX, next.minX);
+      current.maxX = Math.max(current.maxX, next.maxX);
+      current.minY = Math.min(current.minY, next.minY);
+      current.maxY = Math.max(current.maxY, next.maxY);
+      next.labels.forEach(label => current.labels.add(label));
+      groups.splice(i + 1, 1);
+    } else {
+      i++;
+    }
+  }
+
+  return groups.map(group => extractSegment(gray, width, labels, group));
+}
+
+/**
+ * Combine two segments into one, e.g. when a digit was split in two
+ */
+export function mergeSegments(a, b) {
+  const x = Math.min(a.box.x, b.box.x);
+  const y = Math.min(a.box.y, b.box.y);
+  const box = {
+    x,
+    y,
+    width: Math.max(a.box.x + a.box.width, b.box.x + b.box.width) - x,
+    height: Math.max(a.box.y + a.box.height, b.box.y + b.box.height) - y,
+  };
+  const pixels = new Float32Array(box.width * box.height);
+
+  [a, b].forEach((segment) => {
+    for (let sy = 0; sy < segment.box.height; sy++) {
+      for (let sx = 0; sx < segment.box.width; sx++) {
+        const index = (segment.box.y - y + sy) * box.width + segment.box.x - x + sx;
+        pixels[index] = Math.max(pixels[index], segment.pixels[sy * segment.box.width + sx]);
+      }
+    }
+  });
+
+  return { box, pixels };
+}
+
+/**
+ * Cut a segment of several touching digits in two at the column with the
+ * least ink in its middle half (column projection)
+ * @returns {?Array} The left and right parts, or null when too narrow to split
+ */
+export function splitSegment(segment) {
+  const { box, pixels } = segment;
+  if (box.width < 4) return null;
+
+  const columnInk = new Float32Array(box.width);
+  for (let y = 0; y < box.height; y++) {
+    for (let x = 0; x < box.width; x++) {
+      columnInk[x] += pixels[y * box.width + x];
+    }
+  }
+
+  // Avoid shaving a sliver off either edge
+  let cut = Math.floor(box.width / 2);
+  for (let x = Math.floor(box.width / 4); x < Math.ceil((box.width * 3) / 4); x++) {
+    if (columnInk[x] < columnInk[cut]) cut = x;
+  }
+
+  const part = (fromX, toX) => {
+    const width = toX - fromX;
+    const partPixels = new Float32Array(width * box.height);
+    for (let y = 0; y < box.height; y++) {
+      partPixels.set(pixels.subarray(y * box.width + fromX, y * box.width + toX), y * width);
+    }
+    return trimSegment({ box: { ...box, x: box.x + fromX, width }, pixels: partPixels });
+  };
+
+  const parts = [part(0, cut), part(cut, box.width)];
+  return parts.every(Boolean) ? parts : null;
+}
+
+/**
+ * Shrink a segment's box to its ink, or null when it holds none
+ */
+function trimSegment(segment) {
+  const { box, pixels } = segment;
+  let minX = box.width;
+  let minY = box.height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < box.height; y++) {
+    for (let x = 0; x < box.width; x++) {
+      if (pixels[y * box.width + x] > INK_THRESHOLD) {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+
+  const trimmed = { x: box.x + minX, y: box.y + minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+  const trimmedPixels = new Float32Array(trimmed.width * trimmed.height);
+  for (let y = 0; y < trimmed.height; y++) {
+    const offset = (minY + y) * box.width + minX;
+    trimmedPixels.set(pixels.subarray(offset, offset + trimmed.width), y * trimmed.width);
+  }
+
+  return { box: trimmed, pixels: trimmedPixels };
+}
@@ -0,0 +1,184 @@
+/**
+ * Training Monitor
+ * Early stopping, learning-rate scheduling and best-epoch checkpointing
+ */
+
+// Metrics that can be monitored, and whether larger values are better
+const METRIC_MODES = {
+  val_acc: 'max',
+  acc: 'max',
+  val_loss: 'min',
+  loss: 'min',
+};
+
+// tfjs reports 'accuracy' as 'acc', but accept either spelling
+const METRIC_ALIASES = {
+  val_acc: 'val_accuracy',
+  acc: 'accuracy',
+};
+
+export const MONITOR_METRICS = Object.keys(METRIC_MODES);
+export const LR_SCHEDULES = ['none', 'plateau', 'step'];
+
+const MIN_DELTA = 1e-4;
+const MIN_LEARNING_RATE = 1e-6;
+
+/**
+ * Tracks the monitored metric across epochs. Call onEpochEnd() once per
+ * completed epoch; it adjusts the optimizer's learning rate and decides
+ * whether training should stop early.
+ */
+export class TrainingMonitor {
+  /**
+   * @param {tf.LayersModel} model Compiled model being trained
+   * @param {object} options
+   * @param {string} options.monitor Metric to watch, one of MONITOR_METRICS
+   * @param {boolean} options.earlyStopping Stop when the metric stops improving
+   * @param {number} options.patience Epochs without improvement before stopping
+   * @param {boolean} options.restoreBestWeights Keep a copy of the best epoch's weights
+   * @param {string} options.lrSchedule One of LR_SCHEDULES
+   * @param {number} options.lrFactor Multiplier applied when the learning rate drops
+   * @param {number} options.lrPatience Epochs without improvement before a plateau drop
+   * @param {number} options.lrStepSize Epochs between step drops
+   */
+  constructor(model, options) {
+    if (!METRIC_MODES[options.monitor]) {
+      throw new Error(`Cannot monitor unknown metric "${options.monitor}"`);
+    }
+
+    this.model = model;
+    this.options = options;
+    this.mode = METRIC_MODES[options.monitor];
+
+    this.bestValue = null;
+    this.bestEpoch = null;
+    this.bestWeights = null;
+    this.wait = 0;
+    this.lrWait = 0;
+    this.stopReason = null;
+  }
+
+  /**
+   * Current learning rate of the model's optimizer
+   */
+  get learningRate() {
+    return this.model.optimizer.learningRate;
+  }
+
+  /**
+   * Record a completed epoch
+   * @returns {boolean} true when training should stop
+   */
+  onEpochEnd(epoch, logs) {
+    const { monitor } = this.options;
+    const value = logs[monitor] ?? logs[METRIC_ALIASES[monitor]];
+
+    if (value === undefined) {
+      console.warn(`⚠️ Monitored metric ${monitor} is missing from the epoch logs`);
+      return false;
+    }
+
+    if (this.isImprovement(value)) {
+      this.bestValue = value;
+      this.bestEpoch = epoch + 1;
+      this.wait = 0;
+      this.lrWait = 0;
+
+      if (this.options.restoreBestWeights) {
+        this.disposeBestWeights();
+        this.bestWeights = this.model.getWeights().map(weight => weight.clone());
+      }
+    } else {
+      this.wait++;
+      this.lrWait++;
+    }
+
+    this.updateLearningRate(epoch);
+
+    if (this.options.earlyStopping && this.wait >= this.options.patience) {
+      this.stopReason = `Early stopping: no ${monitor} improvement for ${this.wait} epochs`;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether a metric value beats the best so far
+   */
+  isImprovement(value) {
+    if (this.bestValue === null) return true;
+
+    return this.mode === 'max'
+      ? value > this.bestValue + MIN_DELTA
+      : value < this.bestValue - MIN_DELTA;
+  }
+
+  /**
+   * Apply the configured learning-rate schedule after an epoch
+   */
+  updateLearningRate(epoch) {
+    const { lrSchedule, lrFactor, lrPatience, lrStepSize } = this.options;
+
+    const shouldDrop =
+      (lrSchedule === 'plateau' && this.lrWait >= lrPatience) ||
+      (lrSchedule === 'step' && (epoch + 1) % lrStepSize === 0);
+
+    if (!shouldDrop) return;
+
+    const newRate = Math.max(this.learningRate * lrFactor, MIN_LEARNING_RATE);
+    if (newRate < this.learningRate) {
+      const { optimizer } = this.model;
+      // SGD caches the rate as a tensor and needs its setter; others read the field each step
+      if (typeof optimizer.setLearningRate === 'function') {
+        optimizer.setLearningRate(newRate);
+      } else {
+        optimizer.learningRate = newRate;
+      }
+      console.log(`📉 Learning rate reduced to ${newRate.toExponential(2)}`);
+    }
+    this.lrWait = 0;
+  }
+
+  /**
+   * Load the best epoch's weights back into the model
+   * @returns {boolean} true when weights were restored
+   */
+  restoreBestWeights() {
+    if (!this.bestWeights) return false;
+
+    this.model.setWeights(this.bestWeights);
+    console.log(`♻️ Restored weights from epoch ${this.bestEpoch}`);
+    return true;
+  }
+
+  /**
+   * Summary for display
+   */
+  getSummary() {
+    return {
+      monitor: this.options.monitor,
+      bestEpoch: this.bestEpoch,
+      bestValue: this.bestValue,
+      learningRate: this.learningRate,
+      stopReason: this.stopReason,
+    };
+  }
+
+  /**
+   * Release the stored copy of the best weights
+   */
+  disposeBestWeights() {
+    if (this.bestWeights) {
+      this.bestWeights.forEach(weight => weight.dispose());
+      this.bestWeights = null;
+    }
+  }
+
+  /**
+   * Release all tensors held by the monitor
+   */
+  dispose() {
+    this.disposeBestWeights();
+  }
+}
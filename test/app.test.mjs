@@ -0,0 +1,275 @@
+/**
+ * Page tests: js/app.js in jsdom, from pointer strokes on the drawing canvas
+ * to the pixels sent to the model worker, and clearing the canvas again.
+ * @napi-rs/canvas renders the 2D contexts, and a fake Worker answers the
+ * requests ModelWorkerClient sends, recording every prediction's input.
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { before, describe, it } from 'node:test';
+
+import { createCanvas } from '@napi-rs/canvas';
+import { JSDOM } from 'jsdom';
+
+import './helpers.mjs';
+import { createModel, modelToArtifacts } from '../js/model.js';
+
+const INPUT_SIZE = 28;
+
+// ============================================================================
+// Browser environment
+// ============================================================================
+
+const html = await readFile(new URL('../index.html', import.meta.url), 'utf8');
+const { window } = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+const { document } = window;
+
+// jsdom draws nothing itself, so every canvas element gets a real canvas
+// behind it that follows its size like a browser canvas would
+const backings = new WeakMap();
+function backing(element) {
+  if (!backings.has(element)) {
+    backings.set(element, createCanvas(element.width, element.height));
+  }
+  return backings.get(element);
+}
+
+const canvasPrototype = window.HTMLCanvasElement.prototype;
+['width', 'height'].forEach((dimension) => {
+  const { get, set } = Object.getOwnPropertyDescriptor(canvasPrototype, dimension);
+  Object.defineProperty(canvasPrototype, dimension, {
+    configurable: true,
+    get,
+    set(value) {
+      set.call(this, value);
+      if (backings.has(this)) {
+        backings.get(this)[dimension] = get.call(this);
+      }
+    },
+  });
+});
+canvasPrototype.getContext = function getContext(type) {
+  return type === '2d' ? backing(this).getContext('2d') : null;
+};
+canvasPrototype.toDataURL = function toDataURL(...args) {
+  return backing(this).toDataURL(...args);
+};
+
+// Requests the fake worker answered, newest last
+const requests = [];
+
+const RESPONSES = {
+  init: () => ({ backend: 'cpu' }),
+  loadData: () => ({ numTrainElements: 50, numTestElements: 10 }),
+  setModel: () => ({}),
+  // Always sure it is a 3
+  predict: ({ count }) => new Float32Array(count * 10).map((_, i) => (i % 10 === 3 ? 0.91 : 0.01)),
+};
+
+// Stands in for js/model-worker.js, speaking the ModelWorkerClient protocol
+class FakeWorker extends window.EventTarget {
+  postMessage({ id, type, payload }) {
+    if (id === undefined) return;
+
+    requests.push({ type, payload });
+    const respond = RESPONSES[type];
+    const message = respond
+      ? { id, result: respond(payload) }
+      : { id, error: `${type} is not available in tests` };
+    setTimeout(() => this.dispatchEvent(new window.MessageEvent('message', { data: message })));
+  }
+
+  terminate() {}
+}
+
+Object.assign(globalThis, {
+  window,
+  document,
+  navigator: window.navigator,
+  localStorage: window.localStorage,
+  FileReader: window.FileReader,
+  requestAnimationFrame: window.requestAnimationFrame,
+  cancelAnimationFrame: window.cancelAnimationFrame,
+  Worker: FakeWorker,
+});
+
+const { classifyDrawing, clearCanvas } = await import('../js/app.js');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+async function waitFor(condition, what) {
+  for (let i = 0; i < 200; i++) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+function lastRequest(type) {
+  return requests.filter(request => request.type === type).at(-1);
+}
+
+function toastTitles() {
+  return Array.from(document.querySelectorAll('#toastContainer .toast-title'), toast => toast.textContent);
+}
+
+// model.json and weights of a small untrained model, as picked in a file input
+async function modelFiles() {
+  const model = createModel({
+    inputShape: [INPUT_SIZE, INPUT_SIZE, 1],
+    numClasses: 10,
+    architecture: { layers: [{ type: 'dense', units: 8, activation: 'relu' }] },
+    optimizer: 'adam',
+    learningRate: 0.01,
+    seed: 1,
+  });
+  const { modelTopology, weightSpecs, weightData } = await modelToArtifacts(model);
+  model.optimizer.dispose();
+  model.dispose();
+
+  const modelJson = JSON.stringify({
+    modelTopology,
+    weightsManifest: [{ paths: ['./model.weights.bin'], weights: weightSpecs }],
+  });
+  return [
+    new window.File([modelJson], 'model.json', { type: 'application/json' }),
+    new window.File([weightData], 'model.weights.bin'),
+  ];
+}
+
+// Drag the pointer through points given in canvas units (the canvas is
+// laid out at 280×280 CSS pixels, so they are client positions too)
+function drawStroke(points) {
+  const canvas = document.getElementById('canvas');
+  const event = (type, [clientX, clientY]) => new window.PointerEvent(type, {
+    pointerId: 1,
+    pointerType: 'mouse',
+    button: 0,
+    clientX,
+    clientY,
+    bubbles: true,
+    cancelable: true,
+  });
+
+  canvas.dispatchEvent(event('pointerdown', points[0]));
+  points.slice(1).forEach(point => canvas.dispatchEvent(event('pointermove', point)));
+  canvas.dispatchEvent(event('pointerup', points.at(-1)));
+}
+
+// Bounding box and centre of mass of the ink in a 28×28 model input
+function inkStats(pixels) {
+  let minX = INPUT_SIZE;
+  let minY = INPUT_SIZE;
+  let maxX = -1;
+  let maxY = -1;
+  let mass = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  pixels.forEach((value, i) => {
+    if (value <= 0) return;
+    const x = i % INPUT_SIZE;
+    const y = Math.floor(i / INPUT_SIZE);
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+    mass += value;
+    sumX += x * value;
+    sumY += y * value;
+  });
+
+  return {
+    width: maxX - minX + 1,
+    height: maxY - minY + 1,
+    centerX: sumX / mass,
+    centerY: sumY / mass,
+  };
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('drawing canvas', () => {
+  before(async () => {
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    await waitFor(() => lastRequest('loadData'), 'the dataset request');
+
+    // Upload a model, which shows the drawing canvas
+    const input = document.getElementById('modelFileInput');
+    Object.defineProperty(input, 'files', { configurable: true, value: await modelFiles() });
+    input.dispatchEvent(new window.Event('change'));
+    // Node has no model storage, so the upload ends with a warning instead
+    const uploaded = ['Model Uploaded', 'Loaded but Not Saved'];
+    await waitFor(() => toastTitles().some(title => uploaded.includes(title)), 'the uploaded model');
+
+    // jsdom has no layout or pointer capture
+    const canvas = document.getElementById('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 280, height: 280, right: 280, bottom: 280 });
+    canvas.setPointerCapture = () => {};
+    canvas.hasPointerCapture = () => false;
+  });
+
+  it('sends the drawing to the worker as a centred 28×28 image', async () => {
+    // A tall "1" drawn off to the left
+    drawStroke([[60, 40], [62, 100], [64, 160], [66, 220]]);
+    assert.equal(document.getElementById('classifyBtn').disabled, false);
+
+    const predictions = requests.length;
+    await classifyDrawing();
+
+    const request = lastRequest('predict');
+    assert.ok(requests.indexOf(request) >= predictions, 'classifyDrawing() sent no prediction');
+    assert.equal(request.payload.count, 1);
+
+    const { pixels } = request.payload;
+    assert.equal(pixels.length, INPUT_SIZE * INPUT_SIZE);
+    assert.ok(pixels.every(value => value >= 0 && value <= 1));
+
+    // MNIST style: fits a 20×20 box and is centred by its mass, wherever it was drawn
+    const ink = inkStats(pixels);
+    assert.ok(ink.height === 20 && ink.width < 10, `ink box ${ink.width}×${ink.height}`);
+    assert.ok(Math.abs(ink.centerX - 13.5) < 1.5 && Math.abs(ink.centerY - 13.5) < 1.5,
+      `centre of mass at ${ink.centerX}, ${ink.centerY}`);
+
+    assert.equal(document.getElementById('predictedDigit').textContent, '3');
+    assert.equal(document.getElementById('predictionsList').classList.contains('hidden'), false);
+  });
+
+  it('sends the same image for the same stroke drawn elsewhere', async () => {
+    await classifyDrawing();
+    const first = lastRequest('predict').payload.pixels;
+
+    clearCanvas();
+    drawStroke([[200, 40], [202, 100], [204, 160], [206, 220]]);
+    await classifyDrawing();
+    const second = lastRequest('predict').payload.pixels;
+
+    const maxDifference = first.reduce((max, value, i) => Math.max(max, Math.abs(value - second[i])), 0);
+    assert.ok(maxDifference < 0.05, `inputs differ by up to ${maxDifference}`);
+  });
+
+  it('clears the canvas, the prediction and the classify button', async () => {
+    drawStroke([[100, 100], [180, 180]]);
+    clearCanvas();
+
+    const canvas = document.getElementById('canvas');
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    assert.ok(data.every((value, i) => (i % 4 === 3 ? value === 255 : value === 0)), 'canvas is not blank');
+
+    assert.equal(document.getElementById('classifyBtn').disabled, true);
+    assert.equal(document.getElementById('predictionResult').classList.contains('hidden'), false);
+    assert.equal(document.getElementById('predictionsList').classList.contains('hidden'), true);
+    assert.equal(document.getElementById('canvasOverlay').classList.contains('hidden'), false);
+
+    // Nothing left to classify
+    const predictions = requests.length;
+    await classifyDrawing();
+    assert.equal(requests.slice(predictions).some(request => request.type === 'predict'), false);
+    assert.equal(toastTitles().at(-1), 'Not Ready');
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * MnistData tests: validation, loading the fixture datasets and batching
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { fixtureFile, tf } from './helpers.mjs';
+import { FileDataSource } from '../js/data-sources.js';
+import { MnistData } from '../js/data.js';
+
+const IMAGE_SIZE = 784;
+const NUM_CLASSES = 10;
+
+// Fixture images show class k as a bar on rows 4 + 2k and 5 + 2k
+function barClass(image) {
+  const rowSums = Array.from({ length: NUM_CLASSES }, (_, k) => {
+    const start = (4 + 2 * k) * 28;
+    return image.slice(start, start + 56).reduce((sum, value) => sum + value, 0);
+  });
+  return rowSums.indexOf(Math.max(...rowSums));
+}
+
+async function loadFixtureData({ withTestFiles = false, sprite = false } = {}) {
+  const source = sprite
+    ? new FileDataSource(await fixtureFile('sprite-images.png'), await fixtureFile('sprite-labels-uint8'))
+    : new FileDataSource(
+      await fixtureFile('train-images-idx3-ubyte.gz'),
+      await fixtureFile('train-labels-idx1-ubyte.gz'),
+      withTestFiles
+        ? {
+          testImagesFile: await fixtureFile('t10k-images-idx3-ubyte'),
+          testLabelsFile: await fixtureFile('t10k-labels-idx1-ubyte'),
+        }
+        : {}
+    );
+
+  const data = new MnistData(source);
+  await data.load();
+  return data;
+}
+
+describe('MnistData.validateData()', () => {
+  const withData = (images, labels) => {
+    const data = new MnistData(null);
+    data.datasetImages = images;
+    data.datasetLabels = labels;
+    return data;
+  };
+
+  it('rejects missing or empty images', () => {
+    assert.throws(() => withData(null, new Uint8Array(10)).validateData(), /images are empty/);
+    assert.throws(() => withData(new Float32Array(0), new Uint8Array(10)).validateData(), /images are empty/);
+  });
+
+  it('rejects missing or empty labels', () => {
+    assert.throws(() => withData(new Float32Array(IMAGE_SIZE), null).validateData(), /labels are empty/);
+    assert.throws(() => withData(new Float32Array(IMAGE_SIZE), new Uint8Array(0)).validateData(), /labels are empty/);
+  });
+
+  it('rejects image data that is not whole 28×28 images', () => {
+    assert.throws(
+      () => withData(new Float32Array(IMAGE_SIZE + 1), new Uint8Array(10)).validateData(),
+      /Expected a multiple of 784, got 785/
+    );
+  });
+
+  it('rejects a label count that does not match the images', () => {
+    assert.throws(
+      () => withData(new Float32Array(2 * IMAGE_SIZE), new Uint8Array(10)).validateData(),
+      /Invalid label data size. Expected 20, got 10/
+    );
+  });
+
+  it('accepts matching images and one-hot labels', () => {
+    assert.doesNotThrow(() => withData(new Float32Array(2 * IMAGE_SIZE), new Uint8Array(20)).validateData());
+  });
+});
+
+describe('MnistData.load()', () => {
+  it('holds out 1/6 of gzipped IDX files for testing', async () => {
+    const data = await loadFixtureData();
+
+    assert.equal(data.numTrainElements, 50);
+    assert.equal(data.numTestElements, 10);
+    assert.equal(data.trainImages.length, 50 * IMAGE_SIZE);
+    assert.equal(data.testLabels.length, 10 * NUM_CLASSES);
+  });
+
+  it('uses separate test files as the test split', async () => {
+    const data = await loadFixtureData({ withTestFiles: true });
+
+    assert.equal(data.numTrainElements, 60);
+    assert.equal(data.numTestElements, 20);
+  });
+
+  it('decodes the PNG sprite to the same pixels as the IDX files', async () => {
+    const idx = await loadFixtureData();
+    const sprite = await loadFixtureData({ sprite: true });
+
+    assert.deepEqual(sprite.datasetLabels, idx.datasetLabels);
+    assert.equal(sprite.datasetImages.length, idx.datasetImages.length);
+    const maxDifference = sprite.datasetImages.reduce(
+      (max, value, i) => Math.max(max, Math.abs(value - idx.datasetImages[i])), 0
+    );
+    assert.ok(maxDifference < 1e-6, `pixels differ by up to ${maxDifference}`);
+  });
+
+  it('fails when the training images and labels disagree', async () => {
+    const data = new MnistData(new FileDataSource(
+      await fixtureFile('train-images-idx3-ubyte.gz'),
+      await fixtureFile('t10k-labels-idx1-ubyte'),
+      {
+        testImagesFile: await fixtureFile('t10k-images-idx3-ubyte'),
+        testLabelsFile: await fixtureFile('t10k-labels-idx1-ubyte'),
+      }
+    ));
+
+    await assert.rejects(data.load(), /different sample counts/);
+  });
+});
+
+describe('MnistData batches', () => {
+  it('nextTrainBatch() returns [n, 784] images and one-hot [n, 10] labels', async () => {
+    const data = await loadFixtureData();
+    const { xs, labels } = data.nextTrainBatch(8);
+
+    try {
+      assert.deepEqual(xs.shape, [8, IMAGE_SIZE]);
+      assert.deepEqual(labels.shape, [8, NUM_CLASSES]);
+
+      const images = xs.arraySync();
+      const rows = labels.arraySync();
+      rows.forEach((row, i) => {
+        assert.equal(row.reduce((sum, value) => sum + value, 0), 1);
+        assert.ok(row.every(value => value === 0 || value === 1));
+        assert.equal(row.indexOf(1), barClass(images[i]), `label ${i} does not match its image`);
+      });
+    } finally {
+      tf.dispose([xs, labels]);
+    }
+  });
+
+  it('nextTestBatch() draws from the test split', async () => {
+    const data = await loadFixtureData({ withTestFiles: true });
+    const { xs, labels } = data.nextTestBatch(20);
+
+    try {
+      assert.deepEqual(xs.shape, [20, IMAGE_SIZE]);
+      // Every test image is visited once, and the fixture cycles through the digits twice
+      const counts = labels.sum(0).arraySync();
+      assert.deepEqual(counts, new Array(NUM_CLASSES).fill(2));
+    } finally {
+      tf.dispose([xs, labels]);
+    }
+  });
+
+  it('trainDataset() covers every training image once per epoch', async () => {
+    const data = await loadFixtureData({ withTestFiles: true });
+    const batches = await data.trainDataset(16).toArray();
+
+    try {
+      assert.deepEqual(batches.map(({ xs }) => xs.shape[0]), [16, 16, 16, 12]);
+      batches.forEach(({ xs, ys }) => {
+        assert.equal(xs.shape[1], IMAGE_SIZE);
+        assert.deepEqual(ys.shape, [xs.shape[0], NUM_CLASSES]);
+      });
+
+      const counts = tf.tidy(() => tf.concat(batches.map(({ ys }) => ys)).sum(0).arraySync());
+      assert.deepEqual(counts, new Array(NUM_CLASSES).fill(6));
+    } finally {
+      batches.forEach(({ xs, ys }) => tf.dispose([xs, ys]));
+    }
+  });
+
+  it('setSeed() repeats the sample order of every epoch', async () => {
+    const data = await loadFixtureData();
+    const epochOrders = async (seed) => {
+      data.setSeed(seed);
+      const dataset = data.trainDataset(50);
+      const orders = [];
+      for (let epoch = 0; epoch < 2; epoch++) {
+        const [{ xs, ys }] = await dataset.toArray();
+        orders.push(Array.from(xs.dataSync()));
+        tf.dispose([xs, ys]);
+      }
+
+      const { xs, labels } = data.nextTestBatch(10);
+      orders.push(tf.tidy(() => Array.from(labels.argMax(-1).dataSync())));
+      tf.dispose([xs, labels]);
+      return orders;
+    };
+
+    const first = await epochOrders(99);
+    assert.deepEqual(await epochOrders(99), first);
+    assert.notDeepEqual(first[1], first[0], 'each epoch should be re-shuffled');
+    assert.notDeepEqual(await epochOrders(100), first);
+  });
+
+  it('trainDataset() limits the epoch and applies transformImages', async () => {
+    const data = await loadFixtureData();
+    const inverted = images => images.map(value => 1 - value);
+    const batches = await data.trainDataset(8, 20, inverted).toArray();
+
+    try {
+      assert.deepEqual(batches.map(({ xs }) => xs.shape[0]), [8, 8, 4]);
+      batches.forEach(({ xs }) => {
+        // Inverted fixtures are mostly near 1 with a dark bar
+        const pixels = xs.dataSync();
+        const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+        assert.equal(Math.min(...pixels), 0);
+        assert.ok(mean > 0.9, `mean ${mean}`);
+      });
+    } finally {
+      batches.forEach(({ xs, ys }) => tf.dispose([xs, ys]));
+    }
+  });
+});
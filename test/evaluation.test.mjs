@@ -0,0 +1,80 @@
+/**
+ * Evaluation tests: confusion matrix counts and the per-class and macro
+ * precision, recall and F1 derived from it
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { classMetrics, confusionMatrix } from '../js/evaluation.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('confusionMatrix()', () => {
+  it('counts every (true, predicted) pair', () => {
+    const labels = new Uint8Array([0, 0, 0, 1, 1, 2]);
+    const predictions = new Uint8Array([0, 0, 1, 1, 2, 2]);
+
+    assert.deepEqual(confusionMatrix(labels, predictions, 3), [
+      [2, 1, 0],
+      [0, 1, 1],
+      [0, 0, 1],
+    ]);
+  });
+
+  it('has a row and column for classes without samples', () => {
+    assert.deepEqual(confusionMatrix([1], [1], 3), [
+      [0, 0, 0],
+      [0, 1, 0],
+      [0, 0, 0],
+    ]);
+  });
+});
+
+describe('classMetrics()', () => {
+  it('derives precision, recall and F1 per class', () => {
+    const metrics = classMetrics([
+      [2, 1, 0],
+      [0, 1, 1],
+      [0, 0, 1],
+    ]);
+
+    assert.equal(metrics.total, 6);
+    close(metrics.accuracy, 4 / 6);
+    assert.deepEqual(metrics.classes.map(c => c.support), [3, 2, 1]);
+
+    // Class 1: one of two predictions right, one of two samples found
+    close(metrics.classes[1].precision, 1 / 2);
+    close(metrics.classes[1].recall, 1 / 2);
+    close(metrics.classes[1].f1, 1 / 2);
+    // Class 0: never wrongly predicted, two of three samples found
+    close(metrics.classes[0].precision, 1);
+    close(metrics.classes[0].recall, 2 / 3);
+    close(metrics.classes[0].f1, 0.8);
+
+    close(metrics.macro.precision, (1 + 1 / 2 + 1 / 2) / 3);
+    close(metrics.macro.recall, (2 / 3 + 1 / 2 + 1) / 3);
+    close(metrics.macro.f1, (0.8 + 1 / 2 + 2 / 3) / 3);
+  });
+
+  it('scores classes that were never predicted or never seen as 0', () => {
+    const metrics = classMetrics([
+      [1, 1, 0],
+      [0, 0, 0],
+      [0, 0, 0],
+    ]);
+
+    // Class 1 was predicted once but has no samples; class 2 has neither
+    assert.deepEqual(metrics.classes[1], { precision: 0, recall: 0, f1: 0, support: 0 });
+    assert.deepEqual(metrics.classes[2], { precision: 0, recall: 0, f1: 0, support: 0 });
+    close(metrics.accuracy, 1 / 2);
+  });
+
+  it('reports 0 accuracy for an empty matrix', () => {
+    const metrics = classMetrics(confusionMatrix([], [], 2));
+
+    assert.equal(metrics.total, 0);
+    assert.equal(metrics.accuracy, 0);
+    assert.deepEqual(metrics.macro, { precision: 0, recall: 0, f1: 0 });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Test Fixture Generator
+ * Writes the small datasets and canvas captures the tests use, so they never
+ * need the network. Run from the repository root after changing a fixture:
+ *
+ *   node test/fixtures/generate-fixtures.mjs
+ *
+ * Dataset images are synthetic: class k is a bright horizontal bar on rows
+ * 4 + 2k and 5 + 2k plus faint deterministic noise, so a label can be
+ * recovered from its image. Canvas captures are 280×280 RGBA PNGs of white
+ * round strokes on black, like the app's drawing canvas.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { crc32, deflateSync, gzipSync } from 'node:zlib';
+
+import { encodeIdxImages, encodeIdxLabels } from '../../js/idx.js';
+
+const FIXTURES_DIR = dirname(fileURLToPath(import.meta.url));
+const IMAGE_SIDE = 28;
+const IMAGE_SIZE = IMAGE_SIDE * IMAGE_SIDE;
+const NUM_CLASSES = 10;
+const CANVAS_SIZE = 280;
+
+// Small LCG so the noise is identical on every run
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * count images cycling through the classes, and their labels
+ */
+function barDataset(count, seed) {
+  const random = createRandom(seed);
+  const images = new Float32Array(count * IMAGE_SIZE);
+  const labels = new Uint8Array(count);
+
+  for (let n = 0; n < count; n++) {
+    const label = n % NUM_CLASSES;
+    labels[n] = label;
+
+    for (let i = 0; i < IMAGE_SIZE; i++) {
+      const row = Math.floor(i / IMAGE_SIDE);
+      const col = i % IMAGE_SIDE;
+      const isBar = (row === 4 + 2 * label || row === 5 + 2 * label) && col >= 4 && col < 24;
+      images[n * IMAGE_SIZE + i] = isBar ? 1 : Math.round(random() * 20) / 255;
+    }
+  }
+
+  return { images, labels };
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode 8-bit pixels as a PNG; every row uses the "up" filter
+ * @param {number} colorType 0 for grayscale, 6 for RGBA
+ */
+function encodePng(width, height, colorType, pixels) {
+  const channels = colorType === 6 ? 4 : 1;
+  const stride = width * channels;
+  const raw = Buffer.alloc(height * (stride + 1));
+
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 2;
+    for (let x = 0; x < stride; x++) {
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      raw[y * (stride + 1) + 1 + x] = (pixels[y * stride + x] - up) & 0xff;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Rasterise round-capped strokes (lists of [x, y] points) onto a black RGBA canvas
+ */
+function drawCanvas(strokes, lineWidth, size = CANVAS_SIZE) {
+  const rgba = new Uint8Array(size * size * 4);
+  const radius = lineWidth / 2;
+
+  const distanceToSegment = (px, py, [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy || 1)));
+    return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+  };
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const isInk = strokes.some(points => points.slice(1).some(
+        (point, i) => distanceToSegment(x + 0.5, y + 0.5, points[i], point) <= radius
+      ));
+      const shade = isInk ? 255 : 0;
+      rgba.set([shade, shade, shade, 255], (y * size + x) * 4);
+    }
+  }
+
+  return encodePng(size, size, 6, rgba);
+}
+
+const translate = (strokes, dx, dy) => strokes.map(points => points.map(([x, y]) => [x + dx, y + dy]));
+
+// Polygon approximating an ellipse, closed
+const ellipse = (cx, cy, rx, ry) => Array.from({ length: 41 }, (_, i) => {
+  const angle = (i / 40) * 2 * Math.PI;
+  return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+});
+
+const ONE = [[[140, 50], [140, 230]]];
+const SEVEN = [[[80, 60], [200, 60], [120, 230]]];
+const ZERO = [ellipse(140, 140, 55, 85)];
+
+async function write(name, bytes) {
+  await writeFile(join(FIXTURES_DIR, name), bytes);
+  console.log(`💾 ${name} (${bytes.length} bytes)`);
+}
+
+async function main() {
+  const train = barDataset(60, 1);
+  const test = barDataset(20, 2);
+
+  await write('train-images-idx3-ubyte.gz', gzipSync(encodeIdxImages(train.images, 60, IMAGE_SIDE, IMAGE_SIDE)));
+  await write('train-labels-idx1-ubyte.gz', gzipSync(encodeIdxLabels(train.labels)));
+  await write('t10k-images-idx3-ubyte', encodeIdxImages(test.images, 20, IMAGE_SIDE, IMAGE_SIDE));
+  await write('t10k-labels-idx1-ubyte', encodeIdxLabels(test.labels));
+
+  // The same training images in the sprite format: one image per row, one-hot labels
+  const sprite = Uint8Array.from(train.images, value => Math.round(value * 255));
+  const oneHot = new Uint8Array(train.labels.length * NUM_CLASSES);
+  train.labels.forEach((label, n) => {
+    oneHot[n * NUM_CLASSES + label] = 1;
+  });
+  await write('sprite-images.png', encodePng(IMAGE_SIZE, 60, 0, sprite));
+  await write('sprite-labels-uint8', oneHot);
+
+  await write('canvas-blank.png', drawCanvas([], 24));
+  await write('canvas-1.png', drawCanvas(ONE, 24));
+  await write('canvas-7.png', drawCanvas(SEVEN, 24));
+  await write('canvas-7-shifted.png', drawCanvas(translate(SEVEN, -60, 30), 24));
+  await write('canvas-0.png', drawCanvas(ZERO, 24));
+  await write('canvas-0-thin.png', drawCanvas(ZERO, 6));
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,50 @@
+/**
+ * Test Helpers
+ * Gives the shared modules the tf global they get from the vendored script in
+ * the browser, on the pure-JS CPU backend, and loads the files in test/fixtures
+ */
+
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as tf from '@tensorflow/tfjs';
+
+import { decodePng } from '../js/png.js';
+
+globalThis.tf = tf;
+await tf.setBackend('cpu');
+
+// Node 20's test runner reads results from the test file's stdout and now and
+// then fails to parse them when log lines are mixed in, so logs go to stderr
+console.log = console.error;
+console.info = console.error;
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export { tf };
+
+/**
+ * Raw bytes of a fixture
+ */
+export async function fixtureBytes(name) {
+  return new Uint8Array(await readFile(join(FIXTURES_DIR, name)));
+}
+
+/**
+ * A fixture wrapped the way the browser's file picker would
+ */
+export async function fixtureFile(name) {
+  return new File([await fixtureBytes(name)], basename(name));
+}
+
+/**
+ * A canvas capture fixture as RGBA ImageData-like {data, width, height},
+ * what ctx.getImageData() returns in the browser
+ */
+export async function fixtureImageData(name) {
+  const { width, height, channels, pixels } = await decodePng(await fixtureBytes(name));
+  if (channels !== 4) {
+    throw new Error(`${name} is not an RGBA image`);
+  }
+  return { data: new Uint8ClampedArray(pixels), width, height };
+}
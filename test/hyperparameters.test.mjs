@@ -0,0 +1,85 @@
+/**
+ * Hyperparameter validation tests: the app's defaults pass, and every rule
+ * rejects values outside its range with a readable message
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { presetArchitecture } from '../js/architecture.js';
+import { validateHyperparameters } from '../js/hyperparameters.js';
+
+const LIMITS = { maxTrainSize: 60000, maxTestSize: 10000 };
+
+// The app's default settings
+const DEFAULTS = {
+  batchSize: 512,
+  trainDataSize: null,
+  testDataSize: 1000,
+  epochs: 10,
+  optimizer: 'adam',
+  learningRate: 0.001,
+  architecture: presetArchitecture('cnn'),
+  monitor: 'val_acc',
+  earlyStopping: false,
+  patience: 3,
+  restoreBestWeights: true,
+  lrSchedule: 'none',
+  lrFactor: 0.5,
+  lrPatience: 2,
+  lrStepSize: 5,
+  seed: null,
+  augmentation: { enabled: false, rotation: 10, translation: 2, scale: 0.1, elastic: 1, stroke: 1 },
+};
+
+const validate = (changes, limits = LIMITS) => validateHyperparameters({ ...DEFAULTS, ...changes }, limits);
+
+describe('validateHyperparameters()', () => {
+  it('accepts the default settings', () => {
+    assert.deepEqual(validate({}), []);
+    assert.deepEqual(validate({ trainDataSize: 60000, seed: 0, lrSchedule: 'step' }), []);
+  });
+
+  it('checks epochs, split sizes and the batch size against the dataset', () => {
+    assert.deepEqual(validate({ epochs: 0 }), ['Epochs must be a whole number between 1 and 200']);
+    assert.deepEqual(validate({ epochs: 2.5 }), ['Epochs must be a whole number between 1 and 200']);
+    assert.deepEqual(validate({ trainDataSize: 60001 }), ['Training samples must be between 1 and 60000, or empty for all']);
+    assert.deepEqual(validate({ testDataSize: 20 }, { maxTrainSize: 50, maxTestSize: 10 }), [
+      'Test samples must be between 1 and 10',
+      'Batch size cannot exceed the number of training samples',
+    ]);
+    assert.deepEqual(validate({ trainDataSize: 100, batchSize: 101 }), ['Batch size cannot exceed the number of training samples']);
+    assert.deepEqual(validate({ batchSize: 0 }), ['Batch size must be a positive whole number']);
+  });
+
+  it('checks the optimizer, learning rate and monitored metric', () => {
+    assert.deepEqual(validate({ optimizer: 'adagrad' }), ['Optimizer must be one of: sgd, adam, rmsprop']);
+    assert.deepEqual(validate({ learningRate: 0 }), ['Learning rate must be greater than 0 and at most 1']);
+    assert.deepEqual(validate({ learningRate: 'fast' }), ['Learning rate must be greater than 0 and at most 1']);
+    assert.deepEqual(validate({ monitor: 'f1' }), ['Monitored metric must be one of: val_acc, acc, val_loss, loss']);
+  });
+
+  it('only checks early stopping and schedule settings that are in use', () => {
+    assert.deepEqual(validate({ patience: 0 }), []);
+    assert.deepEqual(validate({ earlyStopping: true, patience: 0 }), ['Early stopping patience must be a positive whole number']);
+
+    assert.deepEqual(validate({ lrFactor: 2, lrPatience: 0, lrStepSize: 0 }), []);
+    assert.deepEqual(validate({ lrSchedule: 'plateau', lrFactor: 1, lrPatience: 0, lrStepSize: 0 }), [
+      'Learning rate drop factor must be between 0 and 1 (exclusive)',
+      'Plateau patience must be a positive whole number',
+    ]);
+    assert.deepEqual(validate({ lrSchedule: 'step', lrStepSize: 0, lrPatience: 0 }), ['Step size must be a positive whole number of epochs']);
+    assert.deepEqual(validate({ lrSchedule: 'cosine' }), ['Learning rate schedule must be one of: none, plateau, step']);
+  });
+
+  it('checks the seed, augmentation strengths and architecture', () => {
+    assert.match(validate({ seed: -1 })[0], /^Seed must be a whole number between 0 and \d+/);
+    assert.match(validate({ seed: 1.5 })[0], /^Seed must be a whole number/);
+
+    assert.deepEqual(validate({ augmentation: { ...DEFAULTS.augmentation, rotation: 90, stroke: 1.5 } }), [
+      'Augmentation rotation must be between 0 and 45',
+      'Augmentation stroke must be a whole number of steps',
+    ]);
+    assert.deepEqual(validate({ architecture: { layers: [{ type: 'lstm' }] } }), ['Layer 1 has unknown type "lstm"']);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Model tests: architecture presets, output shapes and small seeded training
+ * runs on the fixture dataset
+ */
+
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import { fixtureFile, tf } from './helpers.mjs';
+import { ARCHITECTURE_PRESETS, presetArchitecture } from '../js/architecture.js';
+import { augmentImages } from '../js/augmentation.js';
+import { FileDataSource } from '../js/data-sources.js';
+import { MnistData } from '../js/data.js';
+import { buildModel, createModel, reseedDropout, summarizeModel } from '../js/model.js';
+import { createRandom, deriveSeed } from '../js/random.js';
+
+const SHAPES = { inputShape: [28, 28, 1], numClasses: 10 };
+
+function modelParams(architecture, overrides = {}) {
+  return { ...SHAPES, architecture, optimizer: 'adam', learningRate: 0.001, ...overrides };
+}
+
+describe('createModel()', () => {
+  for (const name of Object.keys(ARCHITECTURE_PRESETS)) {
+    it(`builds the ${name} preset with a [n, 10] softmax output`, () => {
+      const model = createModel(modelParams(presetArchitecture(name)));
+
+      try {
+        assert.deepEqual(model.inputs[0].shape, [null, 28, 28, 1]);
+        assert.deepEqual(model.outputs[0].shape, [null, 10]);
+        assert.equal(model.layers.at(-1).name, 'output');
+
+        const sums = tf.tidy(() => model.predict(tf.zeros([3, 28, 28, 1])).sum(1).arraySync());
+        assert.equal(sums.length, 3);
+        sums.forEach(sum => assert.ok(Math.abs(sum - 1) < 1e-5, `probabilities sum to ${sum}`));
+      } finally {
+        model.dispose();
+      }
+    });
+  }
+
+  it('names layers by type and adds Flatten before the first Dense layer', () => {
+    const model = createModel(modelParams({
+      layers: [
+        { type: 'conv', filters: 4, kernelSize: 3, activation: 'relu', padding: 'valid' },
+        { type: 'pool', poolSize: 2, mode: 'max' },
+        { type: 'dense', units: 8, activation: 'relu' },
+      ],
+    }));
+
+    try {
+      const summary = summarizeModel(model);
+      assert.deepEqual(summary.layers.map(layer => layer.name), ['conv1', 'pool1', 'flatten1', 'dense1', 'output']);
+      assert.deepEqual(summary.layers.map(layer => layer.outputShape), [[26, 26, 4], [13, 13, 4], [676], [8], [10]]);
+      // conv 3·3·4 + 4, dense 676·8 + 8, output 8·10 + 10
+      assert.equal(summary.totalParams, 40 + 5416 + 90);
+    } finally {
+      model.dispose();
+    }
+  });
+
+  it('rejects an architecture that shrinks the input to nothing without leaking tensors', () => {
+    const before = tf.memory().numTensors;
+    const conv = { type: 'conv', filters: 2, kernelSize: 5, activation: 'relu', padding: 'valid' };
+    const pool = { type: 'pool', poolSize: 2, mode: 'max' };
+
+    assert.throws(
+      () => buildModel({ layers: [conv, pool, conv, pool, conv] }, SHAPES),
+      /Layer conv3 shrinks its input to nothing/
+    );
+    assert.equal(tf.memory().numTensors, before);
+  });
+});
+
+describe('seeded training', () => {
+  // Dropout and augmentation, so every source of randomness is exercised
+  const ARCHITECTURE = {
+    layers: [
+      { type: 'dense', units: 32, activation: 'relu' },
+      { type: 'dropout', rate: 0.2 },
+    ],
+  };
+  const AUGMENTATION = { rotation: 5, translation: 1, scale: 0.05, elastic: 0, stroke: 0 };
+
+  let data;
+  before(async () => {
+    data = new MnistData(new FileDataSource(
+      await fixtureFile('train-images-idx3-ubyte.gz'),
+      await fixtureFile('train-labels-idx1-ubyte.gz')
+    ));
+    await data.load();
+  });
+
+  // The same steps as trainModel() in js/model-worker.js
+  async function train(seed) {
+    data.setSeed(seed);
+    const dropoutRandom = createRandom(deriveSeed(seed, 'dropout'));
+    const augmentRandom = createRandom(deriveSeed(seed, 'augmentation'));
+    const model = createModel(modelParams(ARCHITECTURE, { learningRate: 0.01, seed }));
+
+    const dataset = data.trainDataset(10, data.numTrainElements, images => augmentImages(images, AUGMENTATION, augmentRandom))
+      .map(({ xs, ys }) => ({ xs: xs.reshape([-1, 28, 28, 1]), ys }));
+
+    try {
+      const history = await model.fitDataset(dataset, {
+        epochs: 10,
+        verbose: 0,
+        callbacks: {
+          onBatchBegin: async () => reseedDropout(model, dropoutRandom),
+        },
+      });
+      return history.history;
+    } finally {
+      // createModel() hands the model its optimizer, so the model doesn't dispose it
+      model.optimizer.dispose();
+      model.dispose();
+    }
+  }
+
+  it('builds identical initial weights from the same seed', () => {
+    const weights = seed => {
+      const model = createModel(modelParams(presetArchitecture('cnn'), { seed }));
+      const values = model.getWeights().map(weight => Array.from(weight.dataSync()));
+      model.optimizer.dispose();
+      model.dispose();
+      return values;
+    };
+
+    const first = weights(7);
+    assert.deepEqual(weights(7), first);
+    assert.notDeepEqual(weights(8), first);
+  });
+
+  it('repeats a run exactly from its seed and fits the fixture digits', async () => {
+    const tensorsBefore = tf.memory().numTensors;
+    const first = await train(1234);
+    const second = await train(1234);
+    const other = await train(4321);
+
+    assert.deepEqual(second.loss, first.loss);
+    assert.deepEqual(second.acc, first.acc);
+    assert.notDeepEqual(other.loss, first.loss);
+
+    assert.ok(first.loss.at(-1) < first.loss[0] / 2, `loss went from ${first.loss[0]} to ${first.loss.at(-1)}`);
+    assert.ok(first.acc.at(-1) > 0.9, `final accuracy ${first.acc.at(-1)}`);
+    assert.equal(tf.memory().numTensors, tensorsBefore);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Canvas-to-tensor preprocessing tests on 280×280 canvas captures in
+ * test/fixtures, read the same way as ctx.getImageData() in the app
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { fixtureImageData, tf } from './helpers.mjs';
+import { presetArchitecture } from '../js/architecture.js';
+import { buildModel } from '../js/model.js';
+import { findBoundingBox, imageDataToGrayscale, preprocessDigit } from '../js/preprocessing.js';
+
+const IMAGE_SIDE = 28;
+
+// Same steps as predictDigit() in js/app.js
+async function preprocessFixture(name, options = {}) {
+  const imageData = await fixtureImageData(name);
+  const gray = imageDataToGrayscale(imageData);
+  return preprocessDigit(gray, imageData.width, imageData.height, options);
+}
+
+function centerOfMass(pixels) {
+  let total = 0;
+  let sumX = 0;
+  let sumY = 0;
+  pixels.forEach((value, i) => {
+    total += value;
+    sumX += (i % IMAGE_SIDE) * value;
+    sumY += Math.floor(i / IMAGE_SIDE) * value;
+  });
+  return { x: sumX / total, y: sumY / total };
+}
+
+const totalInk = pixels => pixels.reduce((sum, value) => sum + value, 0);
+
+describe('imageDataToGrayscale()', () => {
+  it('maps white ink to 1 and the black background to 0', async () => {
+    const imageData = await fixtureImageData('canvas-1.png');
+    const gray = imageDataToGrayscale(imageData);
+
+    assert.equal(gray.length, 280 * 280);
+    assert.equal(Math.min(...gray), 0);
+    assert.equal(Math.max(...gray), 1);
+    assert.ok(gray.every(value => value === 0 || value === 1));
+  });
+});
+
+describe('preprocessDigit()', () => {
+  it('returns null for a blank canvas', async () => {
+    assert.equal(await preprocessFixture('canvas-blank.png'), null);
+  });
+
+  for (const name of ['canvas-1.png', 'canvas-7.png', 'canvas-0.png']) {
+    it(`turns ${name} into a centred 28×28 MNIST-style digit`, async () => {
+      const { pixels } = await preprocessFixture(name);
+
+      assert.equal(pixels.length, IMAGE_SIDE * IMAGE_SIDE);
+      assert.ok(pixels.every(value => value >= 0 && value <= 1));
+
+      // The longer side is scaled to the 20px digit box
+      const box = findBoundingBox(pixels, IMAGE_SIDE, IMAGE_SIDE, 0);
+      assert.equal(Math.max(box.width, box.height), 20);
+
+      // and the centre of mass is moved to the middle of the frame
+      const com = centerOfMass(pixels);
+      assert.ok(Math.abs(com.x - 13.5) <= 0.5, `centre of mass x ${com.x}`);
+      assert.ok(Math.abs(com.y - 13.5) <= 0.5, `centre of mass y ${com.y}`);
+    });
+  }
+
+  it('reports the bounding box and stroke width on the canvas', async () => {
+    const { boundingBox, strokeWidth } = await preprocessFixture('canvas-1.png');
+
+    // A 24px pen drawn from (140, 50) to (140, 230) with round caps
+    assert.deepEqual(boundingBox, { x: 128, y: 38, width: 24, height: 204 });
+    assert.ok(Math.abs(strokeWidth - 24) < 3, `stroke width ${strokeWidth}`);
+  });
+
+  it('gives the same input wherever the digit was drawn', async () => {
+    const centred = await preprocessFixture('canvas-7.png');
+    const shifted = await preprocessFixture('canvas-7-shifted.png');
+
+    assert.deepEqual(shifted.pixels, centred.pixels);
+  });
+
+  it('thickens thin strokes when normalizeStroke is set', async () => {
+    const thick = await preprocessFixture('canvas-0.png');
+    const thin = await preprocessFixture('canvas-0-thin.png');
+    const normalized = await preprocessFixture('canvas-0-thin.png', { normalizeStroke: true });
+
+    const thinGap = Math.abs(totalInk(thick.pixels) - totalInk(thin.pixels));
+    const normalizedGap = Math.abs(totalInk(thick.pixels) - totalInk(normalized.pixels));
+    assert.ok(totalInk(normalized.pixels) > totalInk(thin.pixels));
+    assert.ok(normalizedGap < thinGap / 2, `ink gap ${normalizedGap} vs ${thinGap} without normalisation`);
+  });
+
+  it('produces a tensor the model accepts', async () => {
+    const { pixels } = await preprocessFixture('canvas-7.png');
+    const model = buildModel(presetArchitecture('cnn'), { inputShape: [28, 28, 1], numClasses: 10 });
+
+    try {
+      const probabilities = tf.tidy(() => {
+        const input = tf.tensor4d(pixels, [1, IMAGE_SIDE, IMAGE_SIDE, 1]);
+        const output = model.predict(input);
+        assert.deepEqual(output.shape, [1, 10]);
+        return output.dataSync();
+      });
+
+      assert.equal(probabilities.length, 10);
+      assert.ok(Math.abs(probabilities.reduce((sum, p) => sum + p, 0) - 1) < 1e-5);
+    } finally {
+      model.dispose();
+    }
+  });
+});
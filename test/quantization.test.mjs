@@ -0,0 +1,171 @@
+/**
+ * Quantization tests: float16 and uint8 weights load back through tfjs
+ * within their rounding error, size reports, and the before/after accuracy
+ * report on the fixture dataset
+ */
+
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import { fixtureFile, tf } from './helpers.mjs';
+import { FileDataSource } from '../js/data-sources.js';
+import { MnistData } from '../js/data.js';
+import { artifactsToModel, createModel, modelToArtifacts } from '../js/model.js';
+import { modelSize, quantizationReport, quantizeArtifacts, testAccuracy } from '../js/quantization.js';
+
+const ARCHITECTURE = {
+  layers: [
+    { type: 'conv', filters: 4, kernelSize: 3, activation: 'relu', padding: 'valid' },
+    { type: 'pool', poolSize: 2, mode: 'max' },
+    { type: 'dense', units: 16, activation: 'relu' },
+  ],
+};
+
+function smallModel(seed = 3) {
+  return createModel({
+    inputShape: [28, 28, 1],
+    numClasses: 10,
+    architecture: ARCHITECTURE,
+    optimizer: 'adam',
+    learningRate: 0.01,
+    seed,
+  });
+}
+
+function disposeModel(model) {
+  // createModel() hands the model its optimizer, so the model doesn't dispose it
+  model.optimizer.dispose();
+  model.dispose();
+}
+
+// Weights of a model loaded back from artifacts, keyed by weight name
+async function loadedWeights(artifacts) {
+  const model = await artifactsToModel(artifacts);
+  const weights = Object.fromEntries(
+    model.weights.map(weight => [weight.originalName, weight.read().dataSync().slice()])
+  );
+  model.dispose();
+  return weights;
+}
+
+describe('quantizeArtifacts()', () => {
+  let model;
+  let artifacts;
+  let original;
+  before(async () => {
+    model = smallModel();
+    artifacts = await modelToArtifacts(model);
+    original = await loadedWeights(artifacts);
+    disposeModel(model);
+  });
+
+  it('stores float16 weights that load back within half a float16 step', async () => {
+    // Relative step of 2^-10, or 2^-24 apart below float16's normal range
+    const maxError = value => Math.max(Math.abs(value) * 2 ** -11, 2 ** -25);
+    const quantized = quantizeArtifacts(artifacts, 'float16');
+    const weights = await loadedWeights(quantized);
+
+    assert.equal(quantized.weightData.byteLength, artifacts.weightData.byteLength / 2);
+    assert.ok(quantized.weightSpecs.every(spec => spec.quantization.dtype === 'float16'));
+    Object.entries(original).forEach(([name, values]) => {
+      values.forEach((value, i) => {
+        const error = Math.abs(weights[name][i] - value);
+        assert.ok(error <= maxError(value), `${name}[${i}]: ${value} became ${weights[name][i]}`);
+      });
+    });
+  });
+
+  it('stores uint8 weights that load back within half a quantization step', async () => {
+    const quantized = quantizeArtifacts(artifacts, 'uint8');
+    const weights = await loadedWeights(quantized);
+
+    assert.equal(quantized.weightData.byteLength, artifacts.weightData.byteLength / 4);
+    quantized.weightSpecs.forEach(({ name, quantization }) => {
+      assert.equal(quantization.dtype, 'uint8');
+      original[name].forEach((value, i) => {
+        const error = Math.abs(weights[name][i] - value);
+        assert.ok(error <= quantization.scale / 2 + 1e-6, `${name}[${i}]: ${value} became ${weights[name][i]}`);
+      });
+    });
+
+    // Freshly initialised biases are all zero and must stay exactly zero
+    assert.ok(weights['conv1/bias'].every(value => value === 0));
+  });
+
+  it('leaves float32 artifacts as they are and rejects other precisions', () => {
+    assert.equal(quantizeArtifacts(artifacts, 'float32'), artifacts);
+    assert.throws(() => quantizeArtifacts(artifacts, 'int4'), /Unknown weight precision "int4"/);
+    assert.throws(
+      () => quantizeArtifacts(quantizeArtifacts(artifacts, 'uint8'), 'float16'),
+      /Weight conv1\/kernel is already quantized/
+    );
+  });
+});
+
+describe('modelSize()', () => {
+  it('reports bytes per layer, largest first', async () => {
+    const model = smallModel();
+    const artifacts = await modelToArtifacts(model);
+    disposeModel(model);
+
+    const size = modelSize(artifacts);
+    // conv 3·3·4 + 4, dense 676·16 + 16, output 16·10 + 10 float32 values
+    assert.deepEqual(size.layers, [
+      { name: 'dense1', bytes: (676 * 16 + 16) * 4 },
+      { name: 'output', bytes: (16 * 10 + 10) * 4 },
+      { name: 'conv1', bytes: (3 * 3 * 4 + 4) * 4 },
+    ]);
+    assert.equal(size.weightBytes, artifacts.weightData.byteLength);
+    assert.ok(size.totalBytes > size.weightBytes);
+
+    const quantized = modelSize(quantizeArtifacts(artifacts, 'uint8'));
+    assert.deepEqual(quantized.layers.map(layer => layer.bytes), size.layers.map(layer => layer.bytes / 4));
+  });
+});
+
+describe('quantizationReport()', () => {
+  let data;
+  before(async () => {
+    data = new MnistData(new FileDataSource(
+      await fixtureFile('train-images-idx3-ubyte.gz'),
+      await fixtureFile('train-labels-idx1-ubyte.gz'),
+      {
+        testImagesFile: await fixtureFile('t10k-images-idx3-ubyte'),
+        testLabelsFile: await fixtureFile('t10k-labels-idx1-ubyte'),
+      }
+    ));
+    await data.load();
+  });
+
+  it('measures test accuracy of a trained model before and after quantization', async () => {
+    const tensorsBefore = tf.memory().numTensors;
+    const model = smallModel();
+    const dataset = data.trainDataset(10)
+      .map(({ xs, ys }) => ({ xs: xs.reshape([-1, 28, 28, 1]), ys }));
+
+    try {
+      await model.fitDataset(dataset, { epochs: 8, verbose: 0 });
+      const accuracy = await testAccuracy(model, data, 8);
+      const report = await quantizationReport(model, data, 'uint8', 8);
+
+      assert.equal(report.dtype, 'uint8');
+      assert.equal(report.numSamples, 20);
+      assert.equal(report.original.accuracy, accuracy);
+      assert.ok(accuracy > 0.9, `accuracy ${accuracy}`);
+      assert.ok(
+        Math.abs(report.quantized.accuracy - accuracy) <= 0.1,
+        `accuracy went from ${accuracy} to ${report.quantized.accuracy}`
+      );
+      assert.equal(report.quantized.weightBytes, report.original.weightBytes / 4);
+
+      // The report's artifacts are what gets saved, and they still classify
+      const quantized = await artifactsToModel(report.artifacts);
+      assert.equal(await testAccuracy(quantized, data, 8), report.quantized.accuracy);
+      quantized.dispose();
+    } finally {
+      disposeModel(model);
+    }
+
+    assert.equal(tf.memory().numTensors, tensorsBefore);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Seeded randomness tests
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { MAX_SEED, createRandom, deriveSeed, shuffledIndices } from '../js/random.js';
+
+describe('createRandom()', () => {
+  it('repeats its sequence for a seed and stays in [0, 1)', () => {
+    const sequence = random => Array.from({ length: 1000 }, () => random());
+    const values = sequence(createRandom(42));
+
+    assert.deepEqual(sequence(createRandom(42)), values);
+    assert.notDeepEqual(sequence(createRandom(43)), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.05, `mean ${mean}`);
+  });
+});
+
+describe('deriveSeed()', () => {
+  it('gives each purpose its own 32-bit seed', () => {
+    const seeds = ['data', 'weights', 'dropout', 'augmentation'].map(purpose => deriveSeed(7, purpose));
+
+    assert.equal(new Set(seeds).size, seeds.length);
+    seeds.forEach(seed => assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED));
+    assert.equal(deriveSeed(7, 'data'), seeds[0]);
+    assert.notEqual(deriveSeed(8, 'data'), seeds[0]);
+  });
+});
+
+describe('shuffledIndices()', () => {
+  it('returns a repeatable permutation of 0..n-1', () => {
+    const indices = shuffledIndices(100, createRandom(1));
+
+    assert.deepEqual(Array.from(indices).sort((a, b) => a - b), Array.from({ length: 100 }, (_, i) => i));
+    assert.deepEqual(shuffledIndices(100, createRandom(1)), indices);
+    assert.notDeepEqual(Array.from(indices), Array.from({ length: 100 }, (_, i) => i));
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Training run history tests: best epochs, ordering and the JSON/CSV
+ * export and import formats
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  bestEpoch,
+  parseRuns,
+  runsToCsv,
+  runsToJson,
+  sortRunsByValAccuracy,
+} from '../js/run-store.js';
+
+function makeRun(id, valAccuracies, config = {}) {
+  return {
+    id,
+    createdAt: `2026-01-0${id}T10:00:00.000Z`,
+    status: 'completed',
+    backend: 'webgl',
+    config: {
+      optimizer: 'adam',
+      learningRate: 0.001,
+      batchSize: 512,
+      seed: 100 + id,
+      architecture: { layers: [{ type: 'dense', units: 8, activation: 'relu' }] },
+      ...config,
+    },
+    epochs: valAccuracies.map((valAcc, i) => ({
+      epoch: i + 1,
+      loss: 1 / (i + 2),
+      acc: valAcc + 0.01,
+      val_loss: 1 / (i + 1.5),
+      val_acc: valAcc,
+      learningRate: 0.001,
+    })),
+    summary: { stopReason: 'Completed all epochs', bestEpoch: null, restoredEpoch: null },
+  };
+}
+
+const RUNS = [
+  makeRun(1, [0.8, 0.9, 0.85]),
+  makeRun(2, [0.95, 0.97]),
+  makeRun(3, []),
+];
+
+describe('bestEpoch()', () => {
+  it('picks the highest accuracy or the lowest loss', () => {
+    assert.deepEqual(bestEpoch(RUNS[0]), { epoch: 2, value: 0.9 });
+    assert.deepEqual(bestEpoch(RUNS[0], 'val_loss'), { epoch: 3, value: 1 / 3.5 });
+  });
+
+  it('returns null when no epoch has the metric', () => {
+    assert.equal(bestEpoch(RUNS[2]), null);
+    assert.equal(bestEpoch({ epochs: [{ epoch: 1, val_acc: null }] }), null);
+  });
+});
+
+describe('sortRunsByValAccuracy()', () => {
+  it('orders by best val_acc with unfinished runs last', () => {
+    assert.deepEqual(sortRunsByValAccuracy([RUNS[2], RUNS[0], RUNS[1]]).map(run => run.id), [2, 1, 3]);
+  });
+});
+
+describe('run export and import', () => {
+  const withoutIds = runs => runs.map(({ id, ...run }) => run);
+
+  it('round-trips runs through JSON', () => {
+    assert.deepEqual(parseRuns(runsToJson(RUNS)), withoutIds(RUNS));
+  });
+
+  it('writes one CSV row per epoch with the settings as columns', () => {
+    const lines = runsToCsv(RUNS).trim().split('\r\n');
+
+    assert.equal(lines.length, 1 + 3 + 2 + 1);
+    assert.match(lines[0], /^run,created_at,status,backend,seed,optimizer,learning_rate,batch_size,epoch,loss,acc,val_loss,val_acc,/);
+    assert.match(lines[1], /^1,2026-01-01T10:00:00.000Z,completed,webgl,101,adam,0.001,512,1,/);
+    // A run without epochs keeps one row, so it survives a round trip
+    assert.match(lines[6], /^3,.*,,,,,,,"\{/);
+  });
+
+  it('restores configs and epochs from CSV', () => {
+    const runs = parseRuns(runsToCsv(RUNS));
+
+    assert.equal(runs.length, 3);
+    runs.forEach((run, i) => {
+      assert.deepEqual(run.config, RUNS[i].config);
+      assert.deepEqual(run.epochs, RUNS[i].epochs);
+      assert.equal(run.createdAt, RUNS[i].createdAt);
+      assert.equal(run.status, 'completed');
+    });
+  });
+
+  it('quotes CSV fields holding commas, quotes and line breaks', () => {
+    const run = makeRun(4, [0.5], { note: 'a "quoted", \nmulti-line value' });
+    const [restored] = parseRuns(runsToCsv([run]));
+
+    assert.equal(restored.config.note, run.config.note);
+  });
+
+  it('rejects files that are not run histories', () => {
+    assert.throws(() => parseRuns('{"format": "something-else", "runs": []}'), /not a run history export/);
+    assert.throws(() => parseRuns('{"runs": ['), /Invalid JSON/);
+    assert.throws(() => parseRuns('a,b\n1,2\n'), /"run" and "epoch" columns/);
+    assert.throws(() => parseRuns('[{"createdAt": "2026-01-01", "epochs": [{"epoch": 0}]}]'), /Run 1 .* invalid epochs/);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Segmentation tests: digits found left to right, noise dropped, strokes of
+ * one digit merged, and touching digits split by column projection
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { mergeSegments, segmentDigits, splitSegment } from '../js/segmentation.js';
+
+const WIDTH = 60;
+const HEIGHT = 20;
+
+// A blank drawing with the given rectangles of ink, each {x, y, width, height}
+function drawing(rects, width = WIDTH, height = HEIGHT) {
+  const gray = new Float32Array(width * height);
+  rects.forEach(({ x, y, width: w, height: h, value = 1 }) => {
+    for (let row = y; row < y + h; row++) {
+      gray.fill(value, row * width + x, row * width + x + w);
+    }
+  });
+  return gray;
+}
+
+describe('segmentDigits()', () => {
+  it('returns one masked crop per digit, left to right', () => {
+    const gray = drawing([
+      { x: 40, y: 2, width: 4, height: 15 },
+      { x: 5, y: 3, width: 6, height: 12, value: 0.8 },
+    ]);
+    const segments = segmentDigits(gray, WIDTH, HEIGHT);
+
+    assert.deepEqual(segments.map(s => s.box), [
+      { x: 5, y: 3, width: 6, height: 12 },
+      { x: 40, y: 2, width: 4, height: 15 },
+    ]);
+    assert.equal(segments[0].pixels.length, 6 * 12);
+    assert.ok(segments[0].pixels.every(value => Math.abs(value - 0.8) < 1e-6));
+  });
+
+  it('drops specks smaller than the minimum area', () => {
+    const gray = drawing([
+      { x: 5, y: 3, width: 6, height: 12 },
+      { x: 30, y: 10, width: 3, height: 3 },
+    ]);
+
+    assert.equal(segmentDigits(gray, WIDTH, HEIGHT).length, 1);
+    assert.equal(segmentDigits(gray, WIDTH, HEIGHT, { minArea: 9 }).length, 2);
+  });
+
+  it('merges strokes that share most of their columns', () => {
+    // The stem and the separate bar of a "5" sit above each other
+    const gray = drawing([
+      { x: 10, y: 2, width: 10, height: 3 },
+      { x: 10, y: 8, width: 8, height: 10 },
+    ]);
+    const [segment, ...rest] = segmentDigits(gray, WIDTH, HEIGHT);
+
+    assert.equal(rest.length, 0);
+    assert.deepEqual(segment.box, { x: 10, y: 2, width: 10, height: 16 });
+    // The gap between the strokes stays empty
+    assert.ok(segment.pixels.subarray(3 * 10, 6 * 10).every(value => value === 0));
+  });
+
+  it('masks out ink of neighbouring digits inside the crop', () => {
+    // An "L" whose box reaches under the start of the next digit's stroke
+    const gray = drawing([
+      { x: 10, y: 0, width: 2, height: 20 },
+      { x: 10, y: 18, width: 10, height: 2 },
+      { x: 17, y: 5, width: 18, height: 3 },
+    ]);
+    const segments = segmentDigits(gray, WIDTH, HEIGHT);
+
+    assert.equal(segments.length, 2);
+    assert.deepEqual(segments[0].box, { x: 10, y: 0, width: 10, height: 20 });
+    assert.deepEqual(segments[1].box, { x: 17, y: 5, width: 18, height: 3 });
+    const inked = segments[0].pixels.reduce((count, value) => count + (value > 0 ? 1 : 0), 0);
+    assert.equal(inked, 2 * 20 + 8 * 2);
+  });
+
+  it('finds nothing on a blank drawing', () => {
+    assert.deepEqual(segmentDigits(drawing([]), WIDTH, HEIGHT), []);
+  });
+});
+
+describe('splitSegment()', () => {
+  it('cuts touching digits at the column with the least ink', () => {
+    // Two blocks joined by a thin bridge on one row
+    const gray = drawing([
+      { x: 0, y: 0, width: 8, height: 20 },
+      { x: 8, y: 10, width: 4, height: 1 },
+      { x: 12, y: 0, width: 8, height: 20 },
+    ], 20, 20);
+    const [segment] = segmentDigits(gray, 20, 20);
+    const [left, right] = splitSegment(segment);
+
+    // The cut goes through the bridge, and each half keeps its stub of it
+    assert.deepEqual(left.box, { x: 0, y: 0, width: 10, height: 20 });
+    assert.deepEqual(right.box, { x: 10, y: 0, width: 10, height: 20 });
+  });
+
+  it('trims each part to its ink', () => {
+    const segment = {
+      box: { x: 30, y: 5, width: 8, height: 4 },
+      pixels: drawing([
+        { x: 0, y: 0, width: 3, height: 2 },
+        { x: 5, y: 2, width: 3, height: 2 },
+      ], 8, 4),
+    };
+    const [left, right] = splitSegment(segment);
+
+    assert.deepEqual(left.box, { x: 30, y: 5, width: 3, height: 2 });
+    assert.deepEqual(right.box, { x: 35, y: 7, width: 3, height: 2 });
+    assert.deepEqual(mergeSegments(left, right), segment);
+  });
+
+  it('refuses segments too narrow or with all ink on one side', () => {
+    const narrow = { box: { x: 0, y: 0, width: 3, height: 3 }, pixels: new Float32Array(9).fill(1) };
+    assert.equal(splitSegment(narrow), null);
+
+    // Every possible cut leaves the right-hand part empty
+    const oneSided = { box: { x: 0, y: 0, width: 8, height: 1 }, pixels: drawing([{ x: 0, y: 0, width: 2, height: 1 }], 8, 1) };
+    assert.equal(splitSegment(oneSided), null);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Training monitor tests: early stopping after the patience runs out,
+ * plateau and step learning-rate drops, and best-weight checkpoints, fed
+ * with made-up epoch logs
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+
+import { tf } from './helpers.mjs';
+import { TrainingMonitor } from '../js/training-monitor.js';
+
+const OPTIONS = {
+  monitor: 'val_acc',
+  earlyStopping: false,
+  patience: 2,
+  restoreBestWeights: false,
+  lrSchedule: 'none',
+  lrFactor: 0.5,
+  lrPatience: 2,
+  lrStepSize: 3,
+};
+
+function tinyModel(optimizer) {
+  const model = tf.sequential({ layers: [tf.layers.dense({ units: 1, inputShape: [2] })] });
+  model.compile({ optimizer, loss: 'meanSquaredError' });
+  return model;
+}
+
+// Feed one epoch log per value and collect onEpochEnd()'s stop decisions
+function runEpochs(monitor, values, metric = 'val_acc') {
+  return values.map((value, epoch) => monitor.onEpochEnd(epoch, { [metric]: value }));
+}
+
+describe('TrainingMonitor', () => {
+  let model;
+  let monitor;
+  beforeEach(() => {
+    model = tinyModel(tf.train.adam(0.1));
+  });
+  afterEach(() => {
+    monitor?.dispose();
+    model.optimizer.dispose();
+    model.dispose();
+  });
+
+  it('stops once the metric has not improved for `patience` epochs', () => {
+    monitor = new TrainingMonitor(model, { ...OPTIONS, earlyStopping: true });
+
+    // 0.85004 is within the minimum delta of 0.85, so it is no improvement
+    assert.deepEqual(runEpochs(monitor, [0.8, 0.85, 0.85004, 0.84]), [false, false, false, true]);
+    assert.equal(monitor.bestEpoch, 2);
+    assert.equal(monitor.getSummary().stopReason, 'Early stopping: no val_acc improvement for 2 epochs');
+  });
+
+  it('resets the patience on improvement and minimises losses', () => {
+    monitor = new TrainingMonitor(model, { ...OPTIONS, monitor: 'val_loss', earlyStopping: true });
+
+    assert.deepEqual(runEpochs(monitor, [1, 1.1, 0.9, 0.95, 1], 'val_loss'), [false, false, false, false, true]);
+    assert.equal(monitor.bestEpoch, 3);
+    assert.equal(monitor.bestValue, 0.9);
+  });
+
+  it('keeps training without early stopping and accepts tfjs metric aliases', () => {
+    monitor = new TrainingMonitor(model, OPTIONS);
+
+    assert.deepEqual(runEpochs(monitor, [0.9, 0.8, 0.7, 0.6]), [false, false, false, false]);
+    assert.equal(monitor.onEpochEnd(4, { val_accuracy: 0.95 }), false);
+    assert.equal(monitor.bestEpoch, 5);
+  });
+
+  it('rejects metrics it cannot monitor', () => {
+    assert.throws(() => new TrainingMonitor(model, { ...OPTIONS, monitor: 'f1' }), /Cannot monitor unknown metric "f1"/);
+  });
+
+  it('halves the learning rate after `lrPatience` epochs on a plateau', () => {
+    monitor = new TrainingMonitor(model, { ...OPTIONS, lrSchedule: 'plateau' });
+
+    runEpochs(monitor, [0.5, 0.5, 0.5]);
+    assert.equal(model.optimizer.learningRate, 0.05);
+    // The plateau count starts over after a drop
+    runEpochs(monitor, [0.5]);
+    assert.equal(model.optimizer.learningRate, 0.05);
+    runEpochs(monitor, [0.5]);
+    assert.equal(model.optimizer.learningRate, 0.025);
+  });
+
+  it('drops the learning rate every `lrStepSize` epochs, down to a floor', () => {
+    monitor = new TrainingMonitor(model, { ...OPTIONS, lrSchedule: 'step', lrFactor: 1e-4 });
+
+    const rates = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7].map((value, epoch) => {
+      monitor.onEpochEnd(epoch, { val_acc: value });
+      return model.optimizer.learningRate;
+    });
+
+    assert.ok(Math.abs(rates[2] - 1e-5) < 1e-12, `rate after epoch 3: ${rates[2]}`);
+    assert.deepEqual(rates.slice(0, 2), [0.1, 0.1]);
+    assert.equal(rates[5], 1e-6);
+    assert.equal(monitor.getSummary().learningRate, 1e-6);
+  });
+
+  it('updates SGD, which caches its learning rate, through its setter', () => {
+    const sgdModel = tinyModel(tf.train.sgd(0.1));
+    const sgdMonitor = new TrainingMonitor(sgdModel, { ...OPTIONS, lrSchedule: 'step', lrStepSize: 1 });
+
+    sgdMonitor.onEpochEnd(0, { val_acc: 0.5 });
+    assert.equal(sgdModel.optimizer.learningRate, 0.05);
+
+    sgdMonitor.dispose();
+    sgdModel.optimizer.dispose();
+    sgdModel.dispose();
+  });
+
+  it('restores the weights of the best epoch without leaking tensors', () => {
+    const tensorsBefore = tf.memory().numTensors;
+    monitor = new TrainingMonitor(model, { ...OPTIONS, restoreBestWeights: true });
+    const [kernel] = model.getWeights();
+
+    monitor.onEpochEnd(0, { val_acc: 0.5 });
+    const best = kernel.dataSync().slice();
+    const shifted = model.getWeights().map(weight => weight.add(1));
+    model.setWeights(shifted);
+    tf.dispose(shifted);
+    monitor.onEpochEnd(1, { val_acc: 0.4 });
+
+    assert.equal(monitor.restoreBestWeights(), true);
+    assert.deepEqual(model.getWeights()[0].dataSync(), best);
+    assert.equal(monitor.getSummary().bestEpoch, 1);
+
+    monitor.dispose();
+    monitor = null;
+    // Only the model's own weights remain
+    assert.equal(tf.memory().numTensors, tensorsBefore);
+  });
+});
@@ -1,4 +1,6 @@
 const path = require('path');
+const webpack = require('webpack');
+const CopyPlugin = require('copy-webpack-plugin');
 
 module.exports = {
   entry: {
@@ -9,4 +11,20 @@ module.exports = {
     clean: true,
     filename: './js/app.js',
   },
+  plugins: [
+    // Self-host the page's tfjs and tfjs-vis scripts, from the same packages
+    // the worker bundles, so the app also starts without network access
+    new CopyPlugin({
+      patterns: [
+        { from: 'node_modules/@tensorflow/tfjs/dist/tf.min.js', to: 'js/vendor/' },
+        { from: 'node_modules/@tensorflow/tfjs-vis/dist/tfjs-vis.umd.min.js', to: 'js/vendor/' },
+      ],
+    }),
+    // Point the MNIST loader at a self-hosted dataset, e.g.
+    // MNIST_IMAGES_URL=/data/mnist_images.png MNIST_LABELS_URL=/data/mnist_labels_uint8 npm run build
+    new webpack.DefinePlugin({
+      __MNIST_IMAGES_URL__: JSON.stringify(process.env.MNIST_IMAGES_URL || ''),
+      __MNIST_LABELS_URL__: JSON.stringify(process.env.MNIST_LABELS_URL || ''),
+    }),
+  ],
 };
@@ -8,10 +8,13 @@ module.exports = merge(common, {
   plugins: [
     new HtmlWebpackPlugin({
       template: './index.html',
+      // index.html already loads /js/app.js; injecting it again would start the app twice
+      inject: false,
     }),
     new CopyPlugin({
       patterns: [
         { from: 'img', to: 'img' },
+        { from: 'data', to: 'data', noErrorOnMissing: true },
         { from: 'css', to: 'css' },
         { from: 'js/vendor', to: 'js/vendor' },
         { from: 'icon.svg', to: 'icon.svg' },